@@ -18,6 +18,72 @@ const authenticate = async (req, res, next) => {
   }
 };
 
+// Optional authentication: attaches req.user when a valid token is sent, continues anonymously otherwise
+const optionalAuthenticate = (req, res, next) => {
+  const authHeader = req.headers.authorization;
+  if (authHeader && authHeader.startsWith('Bearer ')) {
+    try {
+      req.user = jwt.verify(authHeader.split(' ')[1], JWT_SECRET);
+    } catch (err) {
+      // Invalid tokens are treated like anonymous requests
+    }
+  }
+  next();
+};
+
+// Like authenticate, but also accepts ?token= because browsers' EventSource can't send headers
+const authenticateStream = (req, res, next) => {
+  const authHeader = req.headers.authorization;
+  const token = authHeader && authHeader.startsWith('Bearer ') ? authHeader.split(' ')[1] : req.query.token;
+  if (!token) {
+    return res.status(401).json({ message: 'No token provided' });
+  }
+  try {
+    req.user = jwt.verify(token, JWT_SECRET);
+    next();
+  } catch (err) {
+    return res.status(401).json({ message: 'Invalid token' });
+  }
+};
+
+// Firmware permissions aren't part of the token payload, so they're read from the user record
+const loadFirmwareUser = async (req) => {
+  if (!req.user) return null;
+  if (!req.firmwareUser) {
+    req.firmwareUser = await User.findById(req.user.id).select('name role canAccessFirmware canReleaseFirmware');
+  }
+  return req.firmwareUser;
+};
+
+const hasFirmwareAccess = (user) => Boolean(user) && (user.role === 'admin' || user.canAccessFirmware);
+const hasReleasePermission = (user) => hasFirmwareAccess(user) && (user.role === 'admin' || user.canReleaseFirmware);
+
+// Require firmware access (admins or users with canAccessFirmware)
+const requireFirmwareAccess = async (req, res, next) => {
+  try {
+    const user = await loadFirmwareUser(req);
+    if (!hasFirmwareAccess(user)) {
+      return res.status(403).json({ message: 'Firmware access required' });
+    }
+    next();
+  } catch (err) {
+    return res.status(500).json({ message: 'Error checking firmware access', error: err.message });
+  }
+};
+
+// Require permission to release firmware (admins or firmware users with canReleaseFirmware)
+const requireFirmwareRelease = async (req, res, next) => {
+  try {
+    const user = await loadFirmwareUser(req);
+    if (!hasReleasePermission(user)) {
+      return res.status(403).json({ message: 'Firmware release permission required' });
+    }
+    next();
+  } catch (err) {
+    return res.status(500).json({ message: 'Error checking firmware access', error: err.message });
+  }
+};
+
 // Require admin role
 const requireAdmin = (req, res, next) => {
   if (!req.user || req.user.role !== 'admin') {
@@ -26,4 +92,13 @@ const requireAdmin = (req, res, next) => {
   next();
 };
 
-module.exports = { authenticate, requireAdmin }; 
\ No newline at end of file
+module.exports = {
+  authenticate,
+  optionalAuthenticate,
+  authenticateStream,
+  requireAdmin,
+  requireFirmwareAccess,
+  requireFirmwareRelease,
+  loadFirmwareUser,
+  hasFirmwareAccess
+}; 
\ No newline at end of file
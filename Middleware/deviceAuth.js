@@ -0,0 +1,30 @@
+const DeviceCredentialService = require('../Services/DeviceCredentialService');
+
+// Authenticate a device request and attach { deviceId, keyId, method } to req.device
+const authenticateDevice = async (req, res, next) => {
+  try {
+    const { device, error } = await DeviceCredentialService.authenticate(req);
+    if (error) {
+      return res.status(401).json({ message: error });
+    }
+    if (device) {
+      req.device = device;
+      return next();
+    }
+    // Dashboard users (see optionalAuthenticate) may call device endpoints too
+    if (DeviceCredentialService.AUTH_REQUIRED && !req.user) {
+      return res.status(401).json({ message: 'Device credentials required' });
+    }
+    next();
+  } catch (err) {
+    return res.status(500).json({ message: 'Error authenticating device', error: err.message });
+  }
+};
+
+// An authenticated device may only act as itself
+const isSameDevice = (req, deviceId) => !req.device || req.device.deviceId === String(deviceId);
+
+module.exports = {
+  authenticateDevice,
+  isSameDevice
+};
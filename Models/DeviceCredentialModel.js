@@ -0,0 +1,25 @@
+const mongoose = require('mongoose');
+
+const DeviceCredentialSchema = new mongoose.Schema({
+  deviceId: { type: String, required: true, index: true },
+  keyId: { type: String, required: true, unique: true },
+  // Shared secret for HMAC-signed requests. Wrapped with the firmware KEK when one is configured
+  // (kekId/keyIv/keyTag set), otherwise stored base64 encoded. Never returned by default.
+  secret: { type: String, required: true, select: false },
+  kekId: { type: String },
+  keyIv: { type: String },
+  keyTag: { type: String },
+  // SHA-256 fingerprint of a client certificate that authenticates the device over mutual TLS
+  certFingerprint: { type: String, index: true, sparse: true },
+  // 'retired' credentials keep working until expiresAt so devices can pick up a rotated secret
+  status: { type: String, enum: ['active', 'retired', 'revoked'], default: 'active' },
+  createdAt: { type: Date, default: Date.now },
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  expiresAt: { type: Date },
+  revokedAt: { type: Date },
+  lastUsedAt: { type: Date }
+});
+
+DeviceCredentialSchema.index({ deviceId: 1, status: 1 });
+
+module.exports = mongoose.model('DeviceCredential', DeviceCredentialSchema);
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { CHANNELS, DEFAULT_CHANNEL } = require('../Services/ReleaseChannels');
 
 const DeviceSchema = new mongoose.Schema({
   name: { type: String, required: true },
@@ -7,6 +8,30 @@ const DeviceSchema = new mongoose.Schema({
   status: { type: String, default: 'active' },
   dateCreated: { type: Date, default: Date.now },
   dateAssigned: { type: Date },
+  tags: { type: [String], default: [], index: true }, // Free-form labels used to target rollouts
+  channel: { type: String, enum: CHANNELS, default: DEFAULT_CHANNEL }, // Release channel the device follows
+  hardware: {
+    chip: { type: String }, // ESP chip target, e.g. 'esp32' or 'esp32s3' (matched against uploaded images)
+    revision: { type: String }, // Board revision, e.g. 'A' or 'B'
+    picModel: { type: String },
+    bootloaderVersion: { type: String }
+  },
+  // ESP32 flash encryption key (wrapped with the firmware KEK) used to pre-encrypt downloads
+  flashEncryption: {
+    kekId: { type: String },
+    wrappedKey: { type: String, select: false },
+    keyIv: { type: String },
+    keyTag: { type: String },
+    keyLength: { type: Number }, // 16, 32 or 64 bytes, as in espsecure key files
+    configuredAt: { type: Date }
+  },
+  // Holds the device on a specific firmware version regardless of channel and rollouts
+  pin: {
+    version: { type: String },
+    reason: { type: String, enum: ['manual', 'rollback'] },
+    pinnedAt: { type: Date },
+    pinnedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }
+  },
   // Enhanced OTA Statistics
   otaStats: {
     // Final outcomes (by PIC)
@@ -0,0 +1,12 @@
+const mongoose = require('mongoose');
+
+// Nonces of signed device requests, kept until their timestamp can no longer be accepted
+const DeviceNonceSchema = new mongoose.Schema({
+  keyId: { type: String, required: true },
+  nonce: { type: String, required: true },
+  expiresAt: { type: Date, required: true, index: { expires: 0 } }
+});
+
+DeviceNonceSchema.index({ keyId: 1, nonce: 1 }, { unique: true });
+
+module.exports = mongoose.model('DeviceNonce', DeviceNonceSchema);
@@ -0,0 +1,40 @@
+const mongoose = require('mongoose');
+const StorageEncryptionSchema = require('./StorageEncryptionSchema');
+
+// A PIC image shipped alongside an ESP firmware
+const BundleComponentSchema = new mongoose.Schema({
+  name: { type: String, required: true }, // Unique within the bundle, e.g. 'pic-main'
+  version: { type: String, required: true },
+  format: { type: String, enum: ['hex', 'bin'], required: true },
+  targetIds: { type: [String], default: [] }, // pic_ids to flash; empty means every attached PIC
+  picModel: { type: String },
+  fileName: { type: String },
+  originalFileName: { type: String },
+  fileMimeType: { type: String },
+  storage: {
+    backend: { type: String, enum: ['gridfs', 'local', 's3'] },
+    key: { type: String }
+  },
+  encryption: { type: StorageEncryptionSchema, default: undefined }, // Set when the blob is encrypted at rest
+  sizeBytes: { type: Number },
+  sha256: { type: String },
+  md5: { type: String },
+  signature: { type: String },
+  signatureKeyId: { type: String },
+  signatureAlgorithm: { type: String }
+}, { _id: false });
+
+// Groups an ESP firmware with the PIC images it reprograms. The bundle follows the ESP
+// firmware through review and release, so devices only see it once that firmware is released.
+const FirmwareBundleSchema = new mongoose.Schema({
+  esp_id: { type: String, required: true, index: true },
+  firmware: { type: mongoose.Schema.Types.ObjectId, ref: 'firmware-details', required: true, unique: true },
+  version: { type: String, required: true }, // Version of the ESP firmware
+  description: { type: String },
+  components: { type: [BundleComponentSchema], default: [] },
+  flashOrder: { type: [String], default: [] }, // Component names plus 'esp' for the ESP image itself
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  createdAt: { type: Date, default: Date.now }
+});
+
+module.exports = mongoose.model('FirmwareBundle', FirmwareBundleSchema);
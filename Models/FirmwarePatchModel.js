@@ -0,0 +1,28 @@
+const mongoose = require('mongoose');
+const StorageEncryptionSchema = require('./StorageEncryptionSchema');
+
+// Cached binary patch that turns one stored firmware image into a newer one for the same device
+const FirmwarePatchSchema = new mongoose.Schema({
+  esp_id: { type: String, required: true, index: true },
+  fromFirmware: { type: mongoose.Schema.Types.ObjectId, ref: 'firmware-details', required: true },
+  toFirmware: { type: mongoose.Schema.Types.ObjectId, ref: 'firmware-details', required: true },
+  fromVersion: { type: String, required: true },
+  toVersion: { type: String, required: true },
+  fromSha256: { type: String, required: true }, // Devices must verify their running image against this
+  toSha256: { type: String, required: true },
+  format: { type: String, default: 'espdelta-v1' },
+  storage: {
+    backend: { type: String, enum: ['gridfs', 'local', 's3'] },
+    key: { type: String }
+  },
+  encryption: { type: StorageEncryptionSchema, default: undefined }, // Set when the blob is encrypted at rest
+  sizeBytes: { type: Number },
+  sha256: { type: String }, // Digest of the patch file itself
+  targetSizeBytes: { type: Number },
+  createdAt: { type: Date, default: Date.now },
+  lastServedAt: { type: Date }
+});
+
+FirmwarePatchSchema.index({ fromFirmware: 1, toFirmware: 1 }, { unique: true });
+
+module.exports = mongoose.model('FirmwarePatch', FirmwarePatchSchema);
@@ -1,4 +1,6 @@
 const mongoose = require("mongoose");
+const StorageEncryptionSchema = require("./StorageEncryptionSchema");
+const { CHANNELS, DEFAULT_CHANNEL } = require("../Services/ReleaseChannels");
 
 const FirmwareSchema = new mongoose.Schema({
   version: { type: String, required: true },
@@ -6,10 +8,80 @@ const FirmwareSchema = new mongoose.Schema({
   uploadedDate: { type: Date, default: Date.now },
   description: { type: String, required: true },
   esp_id: { type: String, required: true },
-  fileData: { type: Buffer, required: true }, // Storing the file as Buffer
+  channel: { type: String, enum: CHANNELS, default: DEFAULT_CHANNEL },
+  mandatory: { type: Boolean, default: false }, // Devices must install this update when offered
+  fileData: { type: Buffer }, // Legacy inline binary, new uploads live in the storage backend below
+  storage: {
+    backend: { type: String, enum: ['gridfs', 'local', 's3'] },
+    key: { type: String }
+  },
+  encryption: { type: StorageEncryptionSchema, default: undefined }, // Set when the blob is encrypted at rest
+  sizeBytes: { type: Number },
   fileMimeType: { type: String, required: true }, // e.g., 'application/octet-stream'
   fileName: { type: String, required: true }, // To give the original name when downloading
-  originalFileName: { type: String, required: true } // The true original filename as uploaded by the user
+  originalFileName: { type: String, required: true }, // The true original filename as uploaded by the user
+  sha256: { type: String, index: true }, // Hex digests of the image, computed on upload
+  md5: { type: String },
+  // Ed25519 signature over the SHA-256 digest of the image (base64)
+  signature: { type: String },
+  signatureKeyId: { type: String },
+  signatureAlgorithm: { type: String },
+  signedAt: { type: Date },
+  // Metadata parsed from the ESP-IDF image header and esp_app_desc_t on upload
+  imageInfo: {
+    chip: { type: String },
+    chipId: { type: Number },
+    minChipRevision: { type: Number },
+    maxChipRevision: { type: Number },
+    entryAddress: { type: Number },
+    segmentCount: { type: Number },
+    segments: [{ _id: false, loadAddress: Number, length: Number }],
+    hashAppended: { type: Boolean },
+    appendedSha256: { type: String },
+    secureVersion: { type: Number },
+    appVersion: { type: String },
+    projectName: { type: String },
+    buildDate: { type: String },
+    buildTime: { type: String },
+    idfVersion: { type: String },
+    elfSha256: { type: String }
+  },
+  // Structured release notes; description stays as the free-form one-liner
+  releaseNotes: {
+    summary: { type: String },
+    features: { type: [String], default: [] },
+    fixes: { type: [String], default: [] },
+    knownIssues: { type: [String], default: [] },
+    body: { type: String }, // Markdown
+    updatedAt: { type: Date },
+    updatedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }
+  },
+  // Hardware this image may be served to; empty lists mean no restriction
+  compatibility: {
+    hardwareRevisions: { type: [String], default: [] },
+    picModels: { type: [String], default: [] },
+    minBootloaderVersion: { type: String },
+    minUpgradeFromVersion: { type: String } // Devices on older versions must step through an intermediate release
+  },
+  // Approval workflow: uploads start as drafts and only released images reach devices.
+  // Defaults to released so images uploaded before the workflow existed stay live.
+  status: { type: String, enum: ['draft', 'review', 'released', 'rejected'], default: 'released', index: true },
+  uploadedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  submittedAt: { type: Date },
+  approvedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  releasedAt: { type: Date },
+  reviewComments: [{
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    userName: { type: String },
+    action: { type: String, enum: ['comment', 'submitted', 'approved', 'rejected'], default: 'comment' },
+    comment: { type: String },
+    createdAt: { type: Date, default: Date.now }
+  }]
 });
 
+// Restrict a query to released images (documents without a stored status count as released)
+FirmwareSchema.statics.releasedOnly = function(query = {}) {
+  return { ...query, status: { $in: ['released', null] } };
+};
+
 module.exports = mongoose.model("firmware-details", FirmwareSchema);
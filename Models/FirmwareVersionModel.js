@@ -4,6 +4,7 @@ const mongoose = require("mongoose");
 const FirmwareVersionSchema = new mongoose.Schema({
   deviceId: { type: String, required: true },
   version: { type: String, required: true },
+  firmware: { type: mongoose.Schema.Types.ObjectId, ref: "firmware-details" }, // Document registered under this version
   uploadedDate: { type: Date, default: Date.now },
 });
 
@@ -0,0 +1,28 @@
+const mongoose = require('mongoose');
+
+// Latest in-flight progress of an OTA run, one document per device and PIC (pic_id null for the device's
+// own image). Documents expire on their own; a final OTA report removes the PIC's progress.
+const OTAProgressSchema = new mongoose.Schema({
+  deviceId: { type: String, required: true },
+  pic_id: { type: String, default: null },
+  stage: {
+    type: String,
+    enum: ['downloading', 'verifying', 'flashing', 'rebooting'],
+    required: true
+  },
+  // Percentage within the stage, when the device knows it
+  percent: { type: Number, min: 0, max: 100 },
+  // "Flashing PIC n of m" during multi-PIC reprogramming runs
+  picIndex: { type: Number, min: 1 },
+  picCount: { type: Number, min: 1 },
+  targetVersion: { type: String },
+  reprogramming: { type: Boolean, default: false },
+  message: { type: String },
+  deviceTimestamp: { type: Date },
+  updatedAt: { type: Date, default: Date.now },
+  expiresAt: { type: Date, required: true, index: { expires: 0 } }
+});
+
+OTAProgressSchema.index({ deviceId: 1, pic_id: 1 }, { unique: true });
+
+module.exports = mongoose.model('OTAProgress', OTAProgressSchema);
@@ -9,6 +9,14 @@ const OTAUpdateSchema = new mongoose.Schema({
     type: String, 
     required: true 
   },
+  // Device-supplied id that stays the same when a report is retried
+  reportId: {
+    type: String
+  },
+  // When the device produced the report (timestamp is set from it when present)
+  deviceTimestamp: {
+    type: Date
+  },
   status: { 
     type: String, 
     required: true 
@@ -53,6 +61,10 @@ const OTAUpdateSchema = new mongoose.Schema({
 
 // Index for efficient queries - using timestamp for uniqueness
 OTAUpdateSchema.index({ pic_id: 1, deviceId: 1, timestamp: 1 }, { unique: true });
+OTAUpdateSchema.index(
+  { deviceId: 1, reportId: 1 },
+  { unique: true, partialFilterExpression: { reportId: { $type: 'string' } } }
+);
 OTAUpdateSchema.index({ deviceId: 1, createdAt: -1 });
 OTAUpdateSchema.index({ timestamp: -1 });
 
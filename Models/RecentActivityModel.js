@@ -14,6 +14,7 @@ const RecentActivitySchema = new mongoose.Schema({
       'OTA_UPDATE_SUCCESS',
       'OTA_UPDATE_FAILED', 
       'FIRMWARE_UPLOADED',
+      'FIRMWARE_PROMOTED',
       'DEVICE_ADDED',
       'DEVICE_REMOVED',
       'USER_ADDED',
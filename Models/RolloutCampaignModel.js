@@ -0,0 +1,60 @@
+const mongoose = require('mongoose');
+
+const RolloutStageSchema = new mongoose.Schema({
+  percentage: { type: Number, required: true, min: 0, max: 100 },
+  soakMinutes: { type: Number, default: 60, min: 0 } // Time to observe a stage before advancing
+}, { _id: false });
+
+const RolloutHistorySchema = new mongoose.Schema({
+  action: {
+    type: String,
+    enum: ['created', 'advanced', 'paused', 'resumed', 'halted', 'completed'],
+    required: true
+  },
+  stage: { type: Number },
+  percentage: { type: Number },
+  reason: { type: String },
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  at: { type: Date, default: Date.now }
+}, { _id: false });
+
+const RolloutCampaignSchema = new mongoose.Schema({
+  name: { type: String, required: true },
+  description: { type: String },
+  // Firmware version being rolled out (matched against each targeted device's own image)
+  version: { type: String, required: true, index: true },
+  firmware: { type: mongoose.Schema.Types.ObjectId, ref: 'firmware-details' },
+  target: {
+    type: { type: String, enum: ['project', 'devices', 'tag'], required: true },
+    project: { type: mongoose.Schema.Types.ObjectId, ref: 'Project' },
+    deviceIds: [{ type: String }],
+    tag: { type: String }
+  },
+  stages: {
+    type: [RolloutStageSchema],
+    default: () => [
+      { percentage: 1 },
+      { percentage: 10 },
+      { percentage: 50 },
+      { percentage: 100 }
+    ]
+  },
+  currentStage: { type: Number, default: 0 },
+  stageStartedAt: { type: Date, default: Date.now },
+  status: {
+    type: String,
+    enum: ['active', 'paused', 'halted', 'completed'],
+    default: 'active',
+    index: true
+  },
+  autoAdvance: { type: Boolean, default: true },
+  failureThreshold: { type: Number, default: 0.2, min: 0, max: 1 }, // failure / (success + failure)
+  minReports: { type: Number, default: 5 }, // Reports needed before the threshold is enforced
+  haltReason: { type: String },
+  history: { type: [RolloutHistorySchema], default: [] },
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }
+}, {
+  timestamps: true
+});
+
+module.exports = mongoose.model('RolloutCampaign', RolloutCampaignSchema);
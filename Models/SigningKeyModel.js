@@ -0,0 +1,23 @@
+const mongoose = require('mongoose');
+
+const SigningKeySchema = new mongoose.Schema({
+  keyId: { type: String, required: true, unique: true },
+  algorithm: { type: String, enum: ['ed25519'], default: 'ed25519' },
+  publicKey: { type: String, required: true },  // SPKI PEM
+  privateKey: { type: String, required: true }, // PKCS#8 PEM (encrypted when a passphrase is configured)
+  // 'active' keys are published for verification, exactly one of them is primary and signs new uploads
+  status: { type: String, enum: ['active', 'revoked'], default: 'active' },
+  primary: { type: Boolean, default: false },
+  createdAt: { type: Date, default: Date.now },
+  retiredAt: { type: Date },
+  revokedAt: { type: Date }
+});
+
+SigningKeySchema.index({ status: 1, primary: 1 });
+// At most one active primary key, even when two uploads create the first key at the same time
+SigningKeySchema.index(
+  { primary: 1 },
+  { unique: true, partialFilterExpression: { status: 'active', primary: true } }
+);
+
+module.exports = mongoose.model('SigningKey', SigningKeySchema);
@@ -0,0 +1,15 @@
+const mongoose = require('mongoose');
+
+// Envelope encryption metadata stored next to an encrypted blob (see Services/FirmwareStorage/EnvelopeEncryption.js).
+// Shared by every document whose binary goes through FirmwareStorage.
+const StorageEncryptionSchema = new mongoose.Schema({
+  algorithm: { type: String, enum: ['aes-256-gcm-chunked'] },
+  chunkSize: { type: Number },
+  nonce: { type: String },
+  kekId: { type: String },
+  wrappedKey: { type: String }, // Data key wrapped with the KEK
+  keyIv: { type: String },
+  keyTag: { type: String }
+}, { _id: false });
+
+module.exports = StorageEncryptionSchema;
@@ -11,6 +11,7 @@ const UserSchema = new mongoose.Schema({
     assignedAt: { type: Date, default: Date.now }
   }],
   canAccessFirmware: { type: Boolean, default: false },
+  canReleaseFirmware: { type: Boolean, default: false }, // May approve firmware for release
   createdAt: { type: Date, default: Date.now }
 });
 
@@ -2,7 +2,8 @@ const Router = require('express').Router();
 const DashboardStats = require('../Models/DashboardStatsModel');
 const Device = require('../Models/DeviceModel');
 const OTAUpdate = require('../Models/OTAUpdateModel');
-const { authenticate } = require('../Middleware/auth');
+const { authenticate, requireAdmin } = require('../Middleware/auth');
+const DashboardReplayService = require('../Services/DashboardReplayService');
 
 /**
  * Helper: format a Date as local YYYY-MM-DD (uses local timezone)
@@ -833,4 +834,60 @@ Router.delete('/delete', authenticate, async (req, res) => {
   }
 });
 
+/**
+ * POST: Rebuild DashboardStats by replaying stored OTA reports
+ * Body: projectId or deviceId (optional, default all devices), startDate + endDate OR days (default 7),
+ * dryRun (default true; send false to write the rebuilt stats)
+ */
+Router.post('/rebuild', authenticate, requireAdmin, async (req, res) => {
+  try {
+    const { projectId, deviceId, startDate, endDate, days } = req.body || {};
+    const dryRun = !(req.body && (req.body.dryRun === false || req.body.dryRun === 'false'));
+
+    let startLocal, endLocal;
+    if (startDate && endDate) {
+      startLocal = parseLocalStart(startDate);
+      endLocal = parseLocalEnd(endDate);
+    } else {
+      const dayCount = parseInt(days || 7);
+      const today = new Date();
+      const y = today.getFullYear();
+      const m = today.getMonth();
+      const d = today.getDate();
+      endLocal = new Date(y, m, d, 23, 59, 59, 999);
+      startLocal = new Date(y, m, d - dayCount + 1, 0, 0, 0, 0);
+    }
+
+    if (isNaN(startLocal.getTime()) || isNaN(endLocal.getTime()) || startLocal > endLocal) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid date range'
+      });
+    }
+
+    const result = await DashboardReplayService.rebuild({
+      deviceId,
+      projectId,
+      start: startLocal,
+      end: endLocal,
+      dryRun
+    });
+
+    res.status(200).json({
+      success: result.summary.conflicts === 0,
+      message: dryRun
+        ? 'Dry run: no DashboardStats were changed'
+        : `Rebuilt DashboardStats for ${result.devices} device(s)`,
+      data: result
+    });
+  } catch (error) {
+    console.error('Error rebuilding dashboard stats:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message
+    });
+  }
+});
+
 module.exports = Router;
@@ -1,10 +1,26 @@
 const Router = require('express').Router();
 const Device = require('../Models/DeviceModel');
 const Project = require('../Models/ProjectModel');
-const { authenticate, requireAdmin } = require('../Middleware/auth');
+const { authenticate, requireAdmin, requireFirmwareAccess, requireFirmwareRelease } = require('../Middleware/auth');
 const ActivityLogger = require('../Services/ActivityLogger');
 const OTAUpdate = require('../Models/OTAUpdateModel');
 const DashboardStats = require('../Models/DashboardStatsModel');
+const OTAProgress = require('../Models/OTAProgressModel');
+const FirmwareModel = require('../Models/FirmwareTableModel');
+const FirmwareResolver = require('../Services/FirmwareResolver');
+const FlashEncryptionService = require('../Services/FlashEncryptionService');
+const DeviceCredentialService = require('../Services/DeviceCredentialService');
+const EventBus = require('../Services/EventBus');
+const OtaProgressService = require('../Services/OtaProgressService');
+const EnvelopeEncryption = require('../Services/FirmwareStorage/EnvelopeEncryption');
+const { CHANNELS, isValidChannel } = require('../Services/ReleaseChannels');
+
+// Hardware attributes that can be edited on a device
+const HARDWARE_FIELDS = ['chip', 'revision', 'picModel', 'bootloaderVersion'];
+
+// Helper: only admins and users assigned to the device's project can view or manage it
+const canAccessDevice = (user, device) =>
+  user.role === 'admin' || Boolean(device.project && (user.projects || []).includes(device.project.toString()));
 
 // Get all devices
 Router.get('/', require('../Middleware/auth').authenticate, async (req, res) => {
@@ -22,6 +38,23 @@ Router.get('/', require('../Middleware/auth').authenticate, async (req, res) =>
   }
 });
 
+// Get a device with the live progress of its running OTA update
+Router.get('/:id', authenticate, async (req, res) => {
+  try {
+    const device = await Device.findById(req.params.id);
+    if (!device) return res.status(404).json({ message: 'Device not found' });
+
+    if (!canAccessDevice(req.user, device)) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    const otaProgress = await OtaProgressService.getProgress(device.deviceId);
+    res.status(200).json({ ...device.toObject(), otaProgress });
+  } catch (err) {
+    res.status(500).json({ message: 'Error fetching device', error: err.message });
+  }
+});
+
 // Add new device
 Router.post('/', authenticate, async (req, res) => {
   try {
@@ -37,6 +70,9 @@ Router.post('/', authenticate, async (req, res) => {
     const newDevice = new Device({ name, deviceId });
     await newDevice.save();
 
+    // The secret is only shown now; it has to be provisioned onto the device
+    const credentials = await DeviceCredentialService.issueCredential(deviceId, { createdBy: req.user.id });
+
     // Log activity for device creation
     try {
       await ActivityLogger.logDeviceAdded(
@@ -53,48 +89,71 @@ Router.post('/', authenticate, async (req, res) => {
       // Don't fail the main request if activity logging fails
     }
 
-    res.status(201).json(newDevice);
+    EventBus.publish('device-added', {
+      id: newDevice._id,
+      deviceId,
+      name,
+      dateCreated: newDevice.dateCreated
+    }, { projectId: newDevice.project });
+
+    res.status(201).json({ ...newDevice.toObject(), credentials });
   } catch (err) {
     res.status(500).json({ message: 'Error adding device', error: err.message });
   }
 });
 
-// Edit device
-Router.put('/:id', async (req, res) => {
+// Edit device (hardware decides which images the device may receive, so this needs firmware access)
+Router.put('/:id', authenticate, requireFirmwareAccess, async (req, res) => {
   try {
-    const { name, deviceId } = req.body;
-    const updated = await Device.findByIdAndUpdate(
+    const device = await Device.findById(req.params.id);
+    if (!device) return res.status(404).json({ message: 'Device not found' });
+    if (!canAccessDevice(req.user, device)) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    const { name, deviceId, tags, hardware } = req.body;
+    // A new deviceId drops the device's OTA history, so only admins may change it
+    if (deviceId !== undefined && deviceId !== device.deviceId && req.user.role !== 'admin') {
+      return res.status(403).json({ message: 'Admin access required to change the Device ID' });
+    }
+
+    // Only fields present in the body are changed
+    const update = {};
+    if (name !== undefined) update.name = name;
+    if (deviceId !== undefined) update.deviceId = deviceId;
+    if (Array.isArray(tags)) {
+      update.tags = [...new Set(tags.map(tag => String(tag).trim()).filter(tag => tag !== ''))];
+    }
+    if (hardware && typeof hardware === 'object') {
+      HARDWARE_FIELDS.forEach(field => {
+        if (hardware[field] !== undefined) update[`hardware.${field}`] = hardware[field];
+      });
+    }
+    const previous = await Device.findByIdAndUpdate(
       req.params.id,
-      { name, deviceId },
+      update,
       { new: false } // Get the document BEFORE update to check for deviceId change
     );
 
-    if (!updated) return res.status(404).json({ message: 'Device not found' });
+    if (!previous) return res.status(404).json({ message: 'Device not found' });
 
     // If deviceId changed, delete old data associated with the old deviceId
-    if (updated.deviceId !== deviceId) {
-      await OTAUpdate.deleteMany({ deviceId: updated.deviceId });
-      await DashboardStats.deleteMany({ deviceId: updated.deviceId });
-
-
-      updated.name = name;
-      updated.deviceId = deviceId;
-    } else {
-      // If deviceId didn't change, we need to fetch the updated doc or just return the modified one
-      // Since we used {new: false}, 'updated' is the old doc.
-      // But if only name changed, we should return the new name.
-      // Actually, let's just re-fetch or construct the response.
-      updated.name = name;
+    if (deviceId !== undefined && deviceId !== previous.deviceId) {
+      await OTAUpdate.deleteMany({ deviceId: previous.deviceId });
+      await DashboardStats.deleteMany({ deviceId: previous.deviceId });
+      await OTAProgress.deleteMany({ deviceId: previous.deviceId });
+      // Credentials move with the device; rotate them under /:id/credentials to replace the secret
+      await DeviceCredentialService.reassignCredentials(previous.deviceId, deviceId);
     }
 
-    res.status(200).json(updated);
+    res.status(200).json(await Device.findById(req.params.id));
   } catch (err) {
     res.status(500).json({ message: 'Error updating device', error: err.message });
   }
 });
 
-// Delete device
-Router.delete('/:id', async (req, res) => {
+// Delete device (admin only; its credentials are removed with it)
+Router.delete('/:id', authenticate, requireAdmin, async (req, res) => {
   try {
     const deleted = await Device.findByIdAndDelete(req.params.id);
     if (!deleted) return res.status(404).json({ message: 'Device not found' });
@@ -102,6 +161,8 @@ Router.delete('/:id', async (req, res) => {
     // Delete all associated data
     await OTAUpdate.deleteMany({ deviceId: deleted.deviceId });
     await DashboardStats.deleteMany({ deviceId: deleted.deviceId });
+    await OTAProgress.deleteMany({ deviceId: deleted.deviceId });
+    await DeviceCredentialService.removeCredentials(deleted.deviceId);
 
     // Remove device from any project's devices array
     if (deleted.project) {
@@ -133,10 +194,8 @@ Router.delete('/:id', async (req, res) => {
 
     // Log activity for device deletion
     try {
-      // For now, we'll use a default user ID since we don't have user context in this route
-      const defaultUserId = '507f1f77bcf86cd799439011'; // Default user ID for system activities
       await ActivityLogger.logDeviceRemoved(
-        defaultUserId,
+        req.user.id,
         deleted.deviceId,
         deleted.name,
         {
@@ -155,6 +214,185 @@ Router.delete('/:id', async (req, res) => {
   }
 });
 
+// Subscribe a device to a release channel (dev and beta skip promotion, so this needs release permission)
+Router.put('/:id/channel', authenticate, requireFirmwareRelease, async (req, res) => {
+  try {
+    const { channel } = req.body;
+    if (!isValidChannel(channel)) {
+      return res.status(400).json({ message: `Invalid channel. Expected one of: ${CHANNELS.join(', ')}` });
+    }
+
+    const device = await Device.findById(req.params.id);
+    if (!device) return res.status(404).json({ message: 'Device not found' });
+    if (!canAccessDevice(req.user, device)) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    device.channel = channel;
+    await device.save();
+
+    res.status(200).json(device);
+  } catch (err) {
+    res.status(500).json({ message: 'Error updating device channel', error: err.message });
+  }
+});
+
+// Pin a device to a specific firmware version
+Router.put('/:id/pin', authenticate, requireFirmwareRelease, async (req, res) => {
+  try {
+    const { version } = req.body;
+    if (!version) return res.status(400).json({ message: 'Version is required' });
+
+    const device = await Device.findById(req.params.id);
+    if (!device) return res.status(404).json({ message: 'Device not found' });
+    if (!canAccessDevice(req.user, device)) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    const firmware = await FirmwareModel.exists(FirmwareModel.releasedOnly({ esp_id: device.deviceId, version }));
+    if (!firmware) {
+      return res.status(404).json({ message: `No released firmware version ${version} stored for this device` });
+    }
+
+    device.pin = { version, reason: 'manual', pinnedAt: new Date(), pinnedBy: req.user.id };
+    await device.save();
+
+    res.status(200).json(device);
+  } catch (err) {
+    res.status(500).json({ message: 'Error pinning device', error: err.message });
+  }
+});
+
+// Remove a version pin so the device follows its channel again
+Router.delete('/:id/pin', authenticate, requireFirmwareRelease, async (req, res) => {
+  try {
+    const device = await Device.findById(req.params.id);
+    if (!device) return res.status(404).json({ message: 'Device not found' });
+    if (!canAccessDevice(req.user, device)) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    device.pin = undefined;
+    await device.save();
+
+    res.status(200).json(device);
+  } catch (err) {
+    res.status(500).json({ message: 'Error unpinning device', error: err.message });
+  }
+});
+
+// Roll a device back to the last version it installed successfully before its current one
+Router.post('/:id/rollback', authenticate, requireFirmwareRelease, async (req, res) => {
+  try {
+    const device = await Device.findById(req.params.id);
+    if (!device) return res.status(404).json({ message: 'Device not found' });
+    if (!canAccessDevice(req.user, device)) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    const rollback = await FirmwareResolver.findRollbackTarget(device.deviceId);
+    if (!rollback) {
+      return res.status(404).json({ message: 'No previous successfully installed firmware available for rollback' });
+    }
+
+    device.pin = {
+      version: rollback.firmware.version,
+      reason: 'rollback',
+      pinnedAt: new Date(),
+      pinnedBy: req.user.id
+    };
+    await device.save();
+
+    res.status(200).json({
+      message: `Device will roll back from ${rollback.currentVersion} to ${rollback.firmware.version}`,
+      fromVersion: rollback.currentVersion,
+      toVersion: rollback.firmware.version,
+      device
+    });
+  } catch (err) {
+    res.status(500).json({ message: 'Error rolling back device', error: err.message });
+  }
+});
+
+// List a device's credentials (secrets are never returned)
+Router.get('/:id/credentials', authenticate, requireAdmin, async (req, res) => {
+  try {
+    const device = await Device.findById(req.params.id);
+    if (!device) return res.status(404).json({ message: 'Device not found' });
+
+    res.status(200).json(await DeviceCredentialService.listCredentials(device.deviceId));
+  } catch (err) {
+    res.status(500).json({ message: 'Error fetching device credentials', error: err.message });
+  }
+});
+
+// Issue a new secret (optionally bound to a client certificate fingerprint).
+// Previous credentials keep working for DEVICE_CREDENTIAL_GRACE_HOURS.
+Router.post('/:id/credentials/rotate', authenticate, requireAdmin, async (req, res) => {
+  try {
+    const device = await Device.findById(req.params.id);
+    if (!device) return res.status(404).json({ message: 'Device not found' });
+
+    const credentials = await DeviceCredentialService.rotateCredentials(device.deviceId, {
+      createdBy: req.user.id,
+      certFingerprint: req.body.certFingerprint
+    });
+    res.status(201).json(credentials);
+  } catch (err) {
+    res.status(500).json({ message: 'Error rotating device credentials', error: err.message });
+  }
+});
+
+// Revoke a credential immediately, e.g. when a device is lost
+Router.delete('/:id/credentials/:keyId', authenticate, requireAdmin, async (req, res) => {
+  try {
+    const device = await Device.findById(req.params.id);
+    if (!device) return res.status(404).json({ message: 'Device not found' });
+
+    const result = await DeviceCredentialService.revokeCredential(device.deviceId, req.params.keyId);
+    if (!result.revoked) return res.status(404).json({ message: result.error });
+
+    res.status(200).json(result.credential);
+  } catch (err) {
+    res.status(500).json({ message: 'Error revoking device credential', error: err.message });
+  }
+});
+
+// Set the device's flash encryption key so downloads can be pre-encrypted (admin only).
+// The key is stored wrapped with the firmware KEK and never returned.
+Router.put('/:id/flash-encryption-key', authenticate, requireAdmin, async (req, res) => {
+  try {
+    if (!EnvelopeEncryption.isEnabled()) {
+      return res.status(400).json({ message: 'FIRMWARE_KEK must be configured to store device keys' });
+    }
+    const parsed = FlashEncryptionService.parseKey(req.body.key);
+    if (!parsed.isValid) return res.status(400).json({ message: parsed.error });
+
+    const device = await Device.findByIdAndUpdate(
+      req.params.id,
+      { flashEncryption: FlashEncryptionService.wrapDeviceKey(parsed.key) },
+      { new: true }
+    );
+    if (!device) return res.status(404).json({ message: 'Device not found' });
+
+    res.status(200).json(device);
+  } catch (err) {
+    res.status(500).json({ message: 'Error setting flash encryption key', error: err.message });
+  }
+});
+
+// Remove the flash encryption key; the device gets plaintext images again (admin only)
+Router.delete('/:id/flash-encryption-key', authenticate, requireAdmin, async (req, res) => {
+  try {
+    const device = await Device.findByIdAndUpdate(req.params.id, { $unset: { flashEncryption: '' } }, { new: true });
+    if (!device) return res.status(404).json({ message: 'Device not found' });
+
+    res.status(200).json(device);
+  } catch (err) {
+    res.status(500).json({ message: 'Error removing flash encryption key', error: err.message });
+  }
+});
+
 // Assign a device to a project (admin only)
 Router.put('/:id/assign-project', authenticate, requireAdmin, async (req, res) => {
   try {
@@ -0,0 +1,53 @@
+const Router = require('express').Router();
+const EventBus = require('../Services/EventBus');
+const { authenticateStream } = require('../Middleware/auth');
+
+// Comment lines keep proxies from closing idle streams
+const HEARTBEAT_INTERVAL_MS = 25000;
+// How long EventSource waits before reconnecting
+const RETRY_MS = 5000;
+
+const writeEvent = (res, event) => {
+  res.write(`id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify({ ...event.data, createdAt: event.createdAt })}\n\n`);
+};
+
+/**
+ * GET: Server-Sent Events stream of OTA activity in the caller's projects
+ * Events: ota-report, ota-progress, firmware-uploaded, device-added. Reconnecting clients send Last-Event-ID
+ * (or ?lastEventId=) and receive what they missed; "resync" means events were lost and data should be reloaded.
+ */
+Router.get('/', authenticateStream, (req, res) => {
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+  res.write(`retry: ${RETRY_MS}\n\n`);
+
+  const send = (event) => {
+    if (EventBus.canView(req.user, event)) writeEvent(res, event);
+  };
+
+  // Replay and subscribe in the same tick, so no event falls in between
+  const lastEventId = req.get('last-event-id') || req.query.lastEventId;
+  if (lastEventId) {
+    const missed = EventBus.since(lastEventId);
+    if (missed) {
+      missed.forEach(send);
+    } else {
+      res.write(`event: resync\ndata: ${JSON.stringify({ message: 'Some events are no longer available; reload the data' })}\n\n`);
+    }
+  }
+  const unsubscribe = EventBus.subscribe(send);
+
+  const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), HEARTBEAT_INTERVAL_MS);
+
+  res.on('close', () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+  });
+});
+
+module.exports = Router;
@@ -0,0 +1,234 @@
+const path = require('path');
+const fs = require('fs');
+const multer = require('multer');
+const Router = require('express').Router();
+const FirmwareBundle = require('../Models/FirmwareBundleModel');
+const FirmwareModel = require('../Models/FirmwareTableModel');
+const FirmwareBundleService = require('../Services/FirmwareBundleService');
+const FirmwareIntegrityService = require('../Services/FirmwareIntegrityService');
+const FirmwareSigningService = require('../Services/FirmwareSigningService');
+const FirmwareStorage = require('../Services/FirmwareStorage');
+const EncryptedDiskStorage = require('../Services/FirmwareStorage/EncryptedDiskStorage');
+const FirmwareDelivery = require('../Services/FirmwareDelivery');
+const { authenticateDevice, isSameDevice } = require('../Middleware/deviceAuth');
+const {
+  authenticate,
+  optionalAuthenticate,
+  requireFirmwareAccess,
+  loadFirmwareUser,
+  hasFirmwareAccess
+} = require('../Middleware/auth');
+
+// Ensure uploads/ directory exists
+const uploadPath = path.join(__dirname, '../uploads');
+if (!fs.existsSync(uploadPath)) {
+  fs.mkdirSync(uploadPath, { recursive: true });
+}
+
+// PIC images come as Intel HEX or raw binaries
+const fileFilter = (req, file, cb) => {
+  if (['.hex', '.bin'].includes(path.extname(file.originalname).toLowerCase())) {
+    cb(null, true);
+  } else {
+    cb(new Error('Only .hex and .bin files are allowed'));
+  }
+};
+
+// Temp uploads are encrypted with a per-request key
+const storage = new EncryptedDiskStorage({
+  destination: uploadPath,
+  filename: function (req, file, cb) {
+    cb(null, `${path.basename(file.originalname, path.extname(file.originalname))}-${Date.now()}${path.extname(file.originalname).toLowerCase()}`);
+  },
+});
+const uploadComponents = multer({ storage, fileFilter }).array('components');
+
+// Helper: remove temp files left by multer
+const cleanupFiles = (files = []) => {
+  files.forEach(file => {
+    if (file.path && fs.existsSync(file.path)) fs.unlinkSync(file.path);
+  });
+};
+
+// GET: List bundles, optionally for one device
+Router.get('/', authenticate, async (req, res) => {
+  try {
+    const query = {};
+    if (req.query.esp_id) query.esp_id = req.query.esp_id;
+    const bundles = await FirmwareBundle.find(query).sort({ createdAt: -1 });
+    res.status(200).json({ success: true, data: bundles });
+  } catch (error) {
+    console.error('Error fetching firmware bundles:', error);
+    res.status(500).json({ success: false, message: 'Internal server error', error: error.message });
+  }
+});
+
+// GET: Bundle details
+Router.get('/:id', authenticate, async (req, res) => {
+  try {
+    const bundle = await FirmwareBundle.findById(req.params.id).populate('firmware', 'version status channel sha256');
+    if (!bundle) {
+      return res.status(404).json({ success: false, message: 'Bundle not found' });
+    }
+    res.status(200).json({ success: true, data: bundle });
+  } catch (error) {
+    console.error('Error fetching firmware bundle:', error);
+    res.status(500).json({ success: false, message: 'Internal server error', error: error.message });
+  }
+});
+
+// POST: Attach PIC images to an uploaded ESP firmware
+// Multipart fields: firmwareId, description, manifest (JSON), components (files)
+Router.post('/', authenticate, requireFirmwareAccess, uploadComponents, async (req, res) => {
+  const files = req.files || [];
+  try {
+    const { firmwareId, description } = req.body;
+
+    const firmware = firmwareId && await FirmwareModel.findById(firmwareId).select('-fileData');
+    if (!firmware) {
+      cleanupFiles(files);
+      return res.status(404).json({ success: false, message: 'Firmware not found' });
+    }
+    if (firmware.status === 'released' || firmware.status === 'rejected') {
+      cleanupFiles(files);
+      return res.status(400).json({
+        success: false,
+        message: `Components can only be attached before release (firmware is ${firmware.status})`
+      });
+    }
+    if (await FirmwareBundle.exists({ firmware: firmware._id })) {
+      cleanupFiles(files);
+      return res.status(400).json({ success: false, message: 'This firmware already has a bundle' });
+    }
+
+    const parsed = FirmwareBundleService.parseManifest(req.body.manifest, files);
+    if (!parsed.isValid) {
+      cleanupFiles(files);
+      return res.status(400).json({ success: false, message: parsed.error });
+    }
+
+    for (const component of parsed.components) {
+      if (component.format !== 'hex') continue;
+      const hexValidation = FirmwareBundleService.validateIntelHex(await EncryptedDiskStorage.readFile(component.upload));
+      if (!hexValidation.isValid) {
+        cleanupFiles(files);
+        return res.status(400).json({
+          success: false,
+          message: `Component "${component.name}": ${hexValidation.error}`
+        });
+      }
+    }
+
+    const bundle = new FirmwareBundle({
+      esp_id: firmware.esp_id,
+      firmware: firmware._id,
+      version: firmware.version,
+      description,
+      flashOrder: parsed.flashOrder,
+      createdBy: req.user.id
+    });
+
+    // Digest, sign and store every component before the bundle becomes visible
+    try {
+      for (const { upload, ...fields } of parsed.components) {
+        const { sha256, md5 } = await FirmwareIntegrityService.computeDigests(EncryptedDiskStorage.openFile(upload));
+        const { signature, keyId, algorithm } = await FirmwareSigningService.signDigest(sha256);
+        bundle.components.push({
+          ...fields,
+          fileName: upload.filename,
+          originalFileName: upload.originalname,
+          fileMimeType: upload.mimetype,
+          sha256,
+          md5,
+          signature,
+          signatureKeyId: keyId,
+          signatureAlgorithm: algorithm
+        });
+
+        const component = bundle.components[bundle.components.length - 1];
+        await FirmwareStorage.store(
+          component,
+          EncryptedDiskStorage.openFile(upload),
+          undefined,
+          FirmwareStorage.buildComponentKey(bundle, component)
+        );
+      }
+      await bundle.save();
+    } catch (storeError) {
+      for (const component of bundle.components) {
+        await FirmwareStorage.remove(component);
+      }
+      throw storeError;
+    }
+
+    cleanupFiles(files);
+    res.status(201).json({ success: true, data: bundle });
+  } catch (error) {
+    console.error('Error creating firmware bundle:', error);
+    cleanupFiles(files);
+    res.status(500).json({ success: false, message: 'Internal server error', error: error.message });
+  }
+});
+
+// GET: Download one component (URL comes from the OTA manifest)
+Router.get('/:id/components/:name', optionalAuthenticate, authenticateDevice, async (req, res) => {
+  try {
+    const bundle = await FirmwareBundle.findById(req.params.id);
+    const component = bundle && bundle.components.find(c => c.name === req.params.name);
+    if (!component) {
+      return res.status(404).json({ message: 'Component not found' });
+    }
+
+    // Same visibility rule as the ESP image: unreleased bundles are only for firmware users
+    const firmware = await FirmwareModel.findById(bundle.firmware).select('status');
+    if ((!firmware || firmware.status !== 'released') && !hasFirmwareAccess(await loadFirmwareUser(req))) {
+      return res.status(404).json({ message: 'Component not found' });
+    }
+    if (!isSameDevice(req, bundle.esp_id)) {
+      return res.status(403).json({ message: 'Credentials do not belong to this device' });
+    }
+
+    await FirmwareDelivery.send(req, res, {
+      size: component.sizeBytes,
+      etag: `"${component.sha256}"`,
+      lastModified: bundle.createdAt,
+      contentType: component.format === 'hex' ? 'text/plain' : 'application/octet-stream',
+      filename: component.originalFileName,
+      headers: {
+        'X-Component-Name': component.name,
+        'X-Component-Version': component.version,
+        'X-Firmware-SHA256': component.sha256,
+        'X-Firmware-MD5': component.md5,
+        'X-Firmware-Signature': component.signature,
+        'X-Firmware-Signature-Key-Id': component.signatureKeyId,
+        'X-Firmware-Signature-Algorithm': component.signatureAlgorithm
+      },
+      openStream: (range) => FirmwareStorage.openReadStream(component, range)
+    });
+  } catch (error) {
+    if (res.headersSent) return res.destroy(error);
+    res.status(500).json({ message: 'Download failed', error: error.message });
+  }
+});
+
+// DELETE: Remove an unreleased bundle and its stored components
+Router.delete('/:id', authenticate, requireFirmwareAccess, async (req, res) => {
+  try {
+    const bundle = await FirmwareBundle.findById(req.params.id);
+    if (!bundle) {
+      return res.status(404).json({ success: false, message: 'Bundle not found' });
+    }
+    const firmware = await FirmwareModel.findById(bundle.firmware).select('status');
+    if (firmware && firmware.status === 'released') {
+      return res.status(400).json({ success: false, message: 'Released bundles are removed together with their firmware' });
+    }
+
+    await FirmwareBundleService.removeBundle(bundle);
+    res.status(200).json({ success: true, message: 'Bundle deleted successfully' });
+  } catch (error) {
+    console.error('Error deleting firmware bundle:', error);
+    res.status(500).json({ success: false, message: 'Internal server error', error: error.message });
+  }
+});
+
+module.exports = Router;
@@ -5,11 +5,42 @@ const Router = require("express").Router();
 const FirmwareModel = require("../Models/FirmwareTableModel");
 const Device = require("../Models/DeviceModel");
 const Project = require("../Models/ProjectModel");
-const FirmwareVersion = require("../Models/FirmwareVersionModel");
+const FirmwareSigningService = require("../Services/FirmwareSigningService");
+const FirmwareIntegrityService = require("../Services/FirmwareIntegrityService");
+const FirmwareStorage = require("../Services/FirmwareStorage");
+const EncryptedDiskStorage = require("../Services/FirmwareStorage/EncryptedDiskStorage");
+const FirmwareDelivery = require("../Services/FirmwareDelivery");
+const FirmwareResolver = require("../Services/FirmwareResolver");
+const EspImageParser = require("../Services/EspImageParser");
+const DeltaPatchService = require("../Services/DeltaPatchService");
+const FirmwareCompatibility = require("../Services/FirmwareCompatibility");
+const FirmwareRetentionService = require("../Services/FirmwareRetentionService");
+const FirmwareCatalogService = require("../Services/FirmwareCatalogService");
+const FlashEncryptionService = require("../Services/FlashEncryptionService");
+const MqttBridge = require("../Services/MqttBridge");
+const EventBus = require("../Services/EventBus");
+const { isValidVersion } = require("../Services/VersionUtils");
+const ReleaseNotesService = require("../Services/ReleaseNotesService");
+const FirmwarePatch = require("../Models/FirmwarePatchModel");
+const ActivityLogger = require("../Services/ActivityLogger");
+const { CHANNELS, DEFAULT_CHANNEL, isValidChannel, nextChannel } = require("../Services/ReleaseChannels");
+const {
+  authenticate,
+  optionalAuthenticate,
+  requireAdmin,
+  requireFirmwareAccess,
+  requireFirmwareRelease,
+  loadFirmwareUser,
+  hasFirmwareAccess
+} = require("../Middleware/auth");
+const { authenticateDevice, isSameDevice } = require("../Middleware/deviceAuth");
 
 
 // File Uploading API
 
+// FIRMWARE_VERSION_STRICT=true requires full SemVer (1.2.0, 1.2.0-rc.1); otherwise legacy x.y versions are accepted too
+const STRICT_VERSIONS = process.env.FIRMWARE_VERSION_STRICT === "true";
+
 // Ensure uploads/ directory exists
 const uploadPath = path.join(__dirname, "../uploads");
 if (!fs.existsSync(uploadPath)) {
@@ -25,12 +56,10 @@ const fileFilter = (req, file, cb) => {
   }
 };
 
-// Multer disk storage config
+// Multer storage config: temp uploads are encrypted with a per-request key
 const multer = require("multer");
-const storage = multer.diskStorage({
-  destination: function (req, file, cb) {
-    cb(null, uploadPath);
-  },
+const storage = new EncryptedDiskStorage({
+  destination: uploadPath,
   filename: function (req, file, cb) {
     cb(null, `${file.originalname.split(".")[0]}-${Date.now()}.bin`);
   },
@@ -76,24 +105,155 @@ const validateFilename = async (filename, esp_id) => {
       };
     }
 
-    return { isValid: true };
+    return { isValid: true, device };
   } catch (error) {
     return { isValid: false, error: "Error validating filename" };
   }
 };
 
+// Helper: validate the ESP-IDF image header against the submitted version and the device hardware
+const validateImage = (fileBuffer, version, device) => {
+  const parsed = EspImageParser.parse(fileBuffer);
+  if (!parsed.isValid) {
+    return { isValid: false, error: `Invalid ESP application image: ${parsed.error}` };
+  }
+
+  const { info } = parsed;
+  if (!EspImageParser.versionMatches(info.appVersion, version)) {
+    return {
+      isValid: false,
+      error: `Image reports app version "${info.appVersion}" but version ${version} was submitted`
+    };
+  }
+
+  const deviceChip = device.hardware && device.hardware.chip;
+  if (deviceChip && deviceChip !== info.chip) {
+    return {
+      isValid: false,
+      error: `Image is built for ${info.chip} but device ${device.deviceId} is ${deviceChip}`
+    };
+  }
+
+  return { isValid: true, info };
+};
+
+// Helper: headers that let devices verify the image before flashing
+const firmwareHeaders = (firmware) => ({
+  "X-Firmware-Version": firmware.version,
+  "X-Firmware-SHA256": firmware.sha256,
+  "X-Firmware-MD5": firmware.md5,
+  "X-Firmware-Signature": firmware.signature,
+  "X-Firmware-Signature-Key-Id": firmware.signatureKeyId,
+  "X-Firmware-Signature-Algorithm": firmware.signatureAlgorithm
+});
+
+// Helper: stream a stored image with conditional and Range support
+const streamFirmware = async (req, res, firmware, filename) => {
+  await FirmwareDelivery.send(req, res, {
+    size: await FirmwareStorage.getSize(firmware),
+    // Images are immutable, so the digest (or the id for legacy uploads) is a strong validator
+    etag: `"${firmware.sha256 || firmware._id}"`,
+    lastModified: firmware.uploadedDate,
+    contentType: firmware.fileMimeType,
+    filename,
+    headers: firmwareHeaders(firmware),
+    openStream: (range) => FirmwareStorage.openReadStream(firmware, range)
+  });
+};
+
+// Helper: stream an image encrypted with the device's flash encryption key for writing at flashAddress.
+// Digest and signature headers still describe the plaintext image, which is what the device reads back.
+const streamEncryptedFirmware = async (req, res, firmware, { key, configuredAt }, flashAddress, filename) => {
+  const hexAddress = `0x${flashAddress.toString(16)}`;
+  await FirmwareDelivery.send(req, res, {
+    size: await FirmwareStorage.getSize(firmware),
+    // Distinct per address and key so caches never mix plaintext and encrypted copies
+    etag: `"${firmware.sha256 || firmware._id}-xts-${hexAddress}-${new Date(configuredAt).getTime()}"`,
+    lastModified: firmware.uploadedDate,
+    filename,
+    headers: {
+      ...firmwareHeaders(firmware),
+      "X-Firmware-Encrypted": "aes-xts",
+      "X-Flash-Address": hexAddress
+    },
+    openStream: (range) => FlashEncryptionService.openEncryptedStream(firmware, key, flashAddress, range)
+  });
+};
+
+// Helper: stream a cached delta patch; the headers describe the image it produces
+const streamPatch = async (req, res, patch, target) => {
+  await FirmwareDelivery.send(req, res, {
+    size: patch.sizeBytes,
+    etag: `"${patch.sha256}"`,
+    lastModified: patch.createdAt,
+    filename: `${patch.fromVersion}-${patch.toVersion}.patch`,
+    headers: {
+      ...firmwareHeaders(target),
+      "X-Firmware-Delta": patch.format,
+      "X-Delta-From-Version": patch.fromVersion,
+      "X-Delta-From-SHA256": patch.fromSha256,
+      "X-Delta-SHA256": patch.sha256
+    },
+    openStream: (range) => FirmwareStorage.openReadStream(patch, range)
+  });
+};
+
+// Helper: what a device reports about itself in the query string of device-facing routes
+const deviceContext = (query) => {
+  const context = {};
+  ["currentVersion", "hardwareRevision", "picModel", "bootloaderVersion"].forEach(field => {
+    if (query[field]) context[field] = String(query[field]).trim();
+  });
+  return context;
+};
+
+// Helper: the image a device should run, honouring rollout campaigns and hardware compatibility
+const resolveLatestFirmware = async (esp_id, context = {}) => {
+  const device = await Device.findOne({ deviceId: esp_id });
+  return FirmwareResolver.resolveTarget(device || { deviceId: esp_id }, context);
+};
+
 // === UPLOAD API ===
 
-Router.post("/upload", uploadSingle, async (req, res) => {
+Router.post("/upload", authenticate, requireFirmwareAccess, uploadSingle, async (req, res) => {
   try {
-    const { version, description, esp_id } = req.body;
+    const { version, description, esp_id, mandatory } = req.body;
+    const channel = req.body.channel || DEFAULT_CHANNEL;
 
     if (!req.file) {
       return res.status(400).json({ message: "File is required" });
     }
 
-    const existingVersion = await FirmwareVersion.findOne({ deviceId: esp_id, version });
-    if (existingVersion) {
+    if (!isValidVersion(version, { strict: STRICT_VERSIONS })) {
+      fs.unlinkSync(req.file.path);
+      return res.status(400).json({
+        message: STRICT_VERSIONS
+          ? `Invalid version "${version}". Expected a semantic version such as 1.2.0 or 1.2.0-rc.1`
+          : `Invalid version "${version}". Expected a version such as 1.2, 1.2.0 or 1.2.0-rc.1`
+      });
+    }
+
+    if (!isValidChannel(channel)) {
+      fs.unlinkSync(req.file.path);
+      return res.status(400).json({ message: `Invalid channel. Expected one of: ${CHANNELS.join(", ")}` });
+    }
+
+    const compatibilityValidation = FirmwareCompatibility.parse(req.body.compatibility, version);
+    if (!compatibilityValidation.isValid) {
+      fs.unlinkSync(req.file.path);
+      return res.status(400).json({ message: compatibilityValidation.error });
+    }
+    const { compatibility } = compatibilityValidation;
+
+    const releaseNotesValidation = ReleaseNotesService.parse(req.body.releaseNotes);
+    if (!releaseNotesValidation.isValid) {
+      fs.unlinkSync(req.file.path);
+      return res.status(400).json({ message: releaseNotesValidation.error });
+    }
+    const { releaseNotes } = releaseNotesValidation;
+
+    if (await FirmwareCatalogService.versionExists(esp_id, version)) {
+      fs.unlinkSync(req.file.path);
       return res.status(400).json({ message: `Version ${version} already exists for this device.` });
     }
 
@@ -108,33 +268,89 @@ Router.post("/upload", uploadSingle, async (req, res) => {
       return res.status(400).json({ message: filenameValidation.error });
     }
 
-    const fileBuffer = fs.readFileSync(req.file.path); // Read after multer saves
+    // A declaration that excludes the device's own hardware would never be served to it
+    const hardwareCheck = FirmwareCompatibility.check({ compatibility }, filenameValidation.device);
+    if (!hardwareCheck.compatible) {
+      fs.unlinkSync(req.file.path);
+      return res.status(400).json({
+        message: `Firmware is not compatible with device ${esp_id}: ${hardwareCheck.reasons.join("; ")}`
+      });
+    }
+
+    const imageValidation = validateImage(
+      await EncryptedDiskStorage.readFile(req.file),
+      version,
+      filenameValidation.device
+    );
+    if (!imageValidation.isValid) {
+      fs.unlinkSync(req.file.path);
+      return res.status(400).json({ message: imageValidation.error });
+    }
+    const imageInfo = imageValidation.info;
+
+    const { sha256, md5 } = await FirmwareIntegrityService.computeDigests(EncryptedDiskStorage.openFile(req.file));
+
+    // The same binary under a different version is almost always a mistake
+    const duplicateImage = await FirmwareIntegrityService.findDuplicateImage(esp_id, version, sha256);
+    if (duplicateImage) {
+      fs.unlinkSync(req.file.path);
+      return res.status(409).json({
+        message: `This binary is identical to version ${duplicateImage.version} already uploaded for this device.`
+      });
+    }
+
+    const { signature, keyId, algorithm } = await FirmwareSigningService.signDigest(sha256);
 
     const newFirmware = new FirmwareModel({
       version,
       description,
       esp_id,
+      channel,
+      mandatory: mandatory === true || mandatory === 'true',
       uploadedDate: new Date(),
       fileSize: formatFileSize(req.file.size),
-      fileData: fileBuffer,
       fileMimeType: req.file.mimetype,
       fileName: req.file.filename,
       originalFileName: req.file.originalname,
+      sha256,
+      md5,
+      signature,
+      signatureKeyId: keyId,
+      signatureAlgorithm: algorithm,
+      signedAt: new Date(),
+      imageInfo,
+      compatibility,
+      releaseNotes: releaseNotes && { ...releaseNotes, updatedAt: new Date(), updatedBy: req.user.id },
+      status: "draft",
+      uploadedBy: req.user.id,
     });
 
-    await newFirmware.save();
+    // Stream the binary into the configured storage backend, then register the version and metadata together
+    await FirmwareStorage.storeFile(newFirmware, req.file);
+    let registration;
+    try {
+      registration = await FirmwareCatalogService.registerFirmware(newFirmware);
+    } catch (saveError) {
+      await FirmwareStorage.remove(newFirmware);
+      throw saveError;
+    }
+    if (!registration.isValid) {
+      // Another upload claimed the version while this one was being processed
+      await FirmwareStorage.remove(newFirmware);
+      fs.unlinkSync(req.file.path);
+      return res.status(400).json({ message: registration.error });
+    }
 
     // Log activity for firmware upload
     try {
-      // For now, we'll use a default user ID since we don't have user context in this route
-      const defaultUserId = '507f1f77bcf86cd799439011'; // Default user ID for system activities
       await ActivityLogger.logFirmwareUpload(
-        defaultUserId,
+        req.user.id,
         esp_id,
         version,
         req.file.originalname,
         {
           description,
+          channel,
           fileSize: req.file.size,
           fileName: req.file.filename
         }
@@ -144,10 +360,23 @@ Router.post("/upload", uploadSingle, async (req, res) => {
       // Don't fail the main request if activity logging fails
     }
 
-    // Remove temp file after storing in DB
+    await EventBus.publishDeviceEvent('firmware-uploaded', esp_id, {
+      firmwareId: newFirmware._id,
+      deviceId: esp_id,
+      version,
+      channel: newFirmware.channel,
+      status: newFirmware.status,
+      uploadedBy: req.user.id
+    });
+
+    // Remove temp file after storing the binary
     fs.unlinkSync(req.file.path);
 
-    res.status(200).json({ message: "Firmware uploaded and stored in DB" });
+    res.status(200).json({
+      message: "Firmware uploaded as a draft. It must be approved before devices receive it.",
+      firmwareId: newFirmware._id,
+      status: newFirmware.status
+    });
   } catch (err) {
     console.error("Upload error:", err);
     // Clean up uploaded file if it exists
@@ -166,10 +395,8 @@ Router.get("/check-version", async (req, res) => {
     const { esp_id, version } = req.query;
     if (!esp_id || !version) return res.status(400).json({ message: "Device ID and version required" });
 
-    const exists = await FirmwareModel.findOne({ esp_id, version });
-    if (exists) return res.json({ exists: true });
-
-    res.json({ exists: false });
+    const exists = await FirmwareCatalogService.versionExists(esp_id, version);
+    res.json({ exists });
   } catch (err) {
     res.status(500).json({ message: "Server error" });
   }
@@ -185,7 +412,7 @@ Router.get('/firmwares-details',async (req,res)=>{
         // Return only metadata to keep payload light; binary is fetched via download endpoints
         const firmwares = await FirmwareModel.find(
           {},
-          "version description esp_id uploadedDate fileSize fileName originalFileName fileMimeType"
+          "version description esp_id channel mandatory uploadedDate fileSize fileName originalFileName fileMimeType sha256 md5 signatureKeyId imageInfo compatibility releaseNotes status uploadedBy submittedAt approvedBy releasedAt reviewComments"
         ).sort({uploadedDate: -1});
         res.status(200).json(firmwares);
     }catch(err){
@@ -200,11 +427,14 @@ Router.get('/firmwares-details',async (req,res)=>{
 
 // Get Lateset Firmware Version
 
-Router.get('/latest-version/:esp_id',async (req,res)=>{
+Router.get('/latest-version/:esp_id', optionalAuthenticate, authenticateDevice, async (req,res)=>{
 
     try{
+        if (!isSameDevice(req, req.params.esp_id)) {
+            return res.status(403).json({ message: "Credentials do not belong to this device" });
+        }
 
-        const latestFirmware = await FirmwareModel.findOne({esp_id: req.params.esp_id}).sort({uploadedDate: -1});
+        const latestFirmware = await resolveLatestFirmware(req.params.esp_id, deviceContext(req.query));
         if (!latestFirmware) {
             return res.status(404).json({ message: "No firmware found" });
         }
@@ -224,47 +454,494 @@ Router.get('/latest-version/:esp_id',async (req,res)=>{
 // Get Latest Firmware File URL
 
 
-Router.get("/latest-firmware/:esp_id", async (req, res) => {
+Router.get("/latest-firmware/:esp_id", optionalAuthenticate, authenticateDevice, async (req, res) => {
   try {
-    const latestFirmware = await FirmwareModel.findOne({esp_id: req.params.esp_id}).sort({ uploadedDate: -1 });
+    if (!isSameDevice(req, req.params.esp_id)) {
+      return res.status(403).json({ message: "Credentials do not belong to this device" });
+    }
+    const latestFirmware = await resolveLatestFirmware(req.params.esp_id, deviceContext(req.query));
 
     if (!latestFirmware) {
       return res.status(404).json({ message: "No firmware found" });
     }
 
-    res.set("Content-Type", latestFirmware.fileMimeType || 'application/octet-stream');
-    res.set("Content-Disposition", `attachment; filename="${latestFirmware.fileName || 'firmware.bin'}"`);
-    res.send(latestFirmware.fileData);
+    // Devices that opt in with ?delta=true&currentVersion=x&currentSha256=y get a patch when one is worthwhile
+    const { currentVersion, currentSha256, delta } = req.query;
+    if (delta === "true" && currentVersion && currentSha256) {
+      let patch = null;
+      try {
+        patch = await DeltaPatchService.findDelta(latestFirmware, {
+          currentVersion: String(currentVersion),
+          currentSha256: String(currentSha256)
+        });
+      } catch (error) {
+        console.error(`Error preparing delta patch for ${req.params.esp_id}:`, error);
+      }
+      if (patch) {
+        return await streamPatch(req, res, patch, latestFirmware);
+      }
+    }
+
+    await streamFirmware(req, res, latestFirmware, latestFirmware.fileName || 'firmware.bin');
   } catch (err) {
+    if (res.headersSent) return res.destroy(err);
     res.status(500).json({ message: "Download failed", error: err.message });
   }
 });
 
 // Download specific firmware by ID
-Router.get("/download/:id", async (req, res) => {
+Router.get("/download/:id", optionalAuthenticate, authenticateDevice, async (req, res) => {
   try {
-    const firmware = await FirmwareModel.findById(req.params.id);
+    const firmware = await FirmwareModel.findById(req.params.id).select("-fileData");
     if (!firmware) {
       return res.status(404).json({ message: "Firmware not found" });
     }
-    res.set("Content-Type", firmware.fileMimeType || 'application/octet-stream');
-    res.set("Content-Disposition", `attachment; filename=\"${firmware.originalFileName || firmware.fileName || 'firmware.bin'}\"`);
-    res.send(firmware.fileData);
+    // Unreleased images are only available to firmware users (e.g. reviewers),
+    // who may also fetch images their device's hardware can't run
+    const firmwareUser = hasFirmwareAccess(await loadFirmwareUser(req));
+    if (firmware.status !== "released" && !firmwareUser) {
+      return res.status(404).json({ message: "Firmware not found" });
+    }
+    if (!isSameDevice(req, firmware.esp_id)) {
+      return res.status(403).json({ message: "Credentials do not belong to this device" });
+    }
+    if (!firmwareUser) {
+      const device = await Device.findOne({ deviceId: firmware.esp_id });
+      const { compatible, reasons } = FirmwareCompatibility.check(firmware, device, deviceContext(req.query));
+      if (!compatible) {
+        return res.status(409).json({ message: "Firmware is not compatible with this device", reasons });
+      }
+    }
+    const filename = firmware.originalFileName || firmware.fileName || 'firmware.bin';
+
+    // ?encrypted=true&flashAddress=0x10000 delivers the image pre-encrypted for ESP32 flash encryption
+    if (req.query.encrypted === "true") {
+      const address = FlashEncryptionService.parseFlashAddress(req.query.flashAddress);
+      if (!address.isValid) {
+        return res.status(400).json({ message: address.error });
+      }
+      if (!FlashEncryptionService.supportsChip(firmware.imageInfo && firmware.imageInfo.chip)) {
+        return res.status(400).json({ message: `Encrypted delivery is not supported for ${firmware.imageInfo.chip} images` });
+      }
+      if ((await FirmwareStorage.getSize(firmware)) % 16 !== 0) {
+        return res.status(400).json({ message: "Image length must be a multiple of 16 bytes for flash encryption" });
+      }
+      const deviceKey = await FlashEncryptionService.loadDeviceKey(firmware.esp_id);
+      if (!deviceKey) {
+        return res.status(404).json({ message: "No flash encryption key configured for this device" });
+      }
+      return await streamEncryptedFirmware(req, res, firmware, deviceKey, address.flashAddress, filename);
+    }
+
+    await streamFirmware(req, res, firmware, filename);
   } catch (err) {
+    if (res.headersSent) return res.destroy(err);
     res.status(500).json({ message: "Download failed", error: err.message });
   }
 });
 
+// Download a cached delta patch (URL comes from the OTA manifest)
+Router.get("/delta/:id", optionalAuthenticate, authenticateDevice, async (req, res) => {
+  try {
+    const patch = await FirmwarePatch.findById(req.params.id);
+    if (!patch) {
+      return res.status(404).json({ message: "Patch not found" });
+    }
+    // Patches are only served towards released images
+    const target = await FirmwareModel.findOne(FirmwareModel.releasedOnly({ _id: patch.toFirmware })).select("-fileData");
+    if (!target) {
+      return res.status(404).json({ message: "Patch not found" });
+    }
+    if (!isSameDevice(req, patch.esp_id)) {
+      return res.status(403).json({ message: "Credentials do not belong to this device" });
+    }
+
+    await FirmwarePatch.updateOne({ _id: patch._id }, { $set: { lastServedAt: new Date() } });
+    await streamPatch(req, res, patch, target);
+  } catch (err) {
+    if (res.headersSent) return res.destroy(err);
+    res.status(500).json({ message: "Download failed", error: err.message });
+  }
+});
+
+// === APPROVAL WORKFLOW ===
+
+// Helper: load a firmware (metadata only) for a workflow transition
+const findFirmwareForReview = (id) => FirmwareModel.findById(id).select("-fileData");
 
-Router.delete("/delete/:id", async (req, res) => {
+// Submit a draft (or a rejected build after fixes) for review
+Router.post("/:id/submit", authenticate, requireFirmwareAccess, async (req, res) => {
   try {
-    const firmware = await FirmwareModel.findById(req.params.id);
+    const firmware = await findFirmwareForReview(req.params.id);
+    if (!firmware) {
+      return res.status(404).json({ message: "Firmware not found" });
+    }
+    if (firmware.status !== "draft" && firmware.status !== "rejected") {
+      return res.status(400).json({ message: `Cannot submit a firmware in ${firmware.status} state` });
+    }
 
+    firmware.status = "review";
+    firmware.submittedAt = new Date();
+    firmware.reviewComments.push({
+      userId: req.user.id,
+      userName: req.firmwareUser.name,
+      action: "submitted",
+      comment: req.body.comment
+    });
+    await firmware.save();
+
+    res.status(200).json({ message: "Firmware submitted for review", firmwareId: firmware._id, status: firmware.status });
+  } catch (err) {
+    res.status(500).json({ message: "Submit failed", error: err.message });
+  }
+});
+
+// Approve a firmware under review; the reviewer must not be the uploader
+Router.post("/:id/approve", authenticate, requireFirmwareRelease, async (req, res) => {
+  try {
+    const firmware = await findFirmwareForReview(req.params.id);
+    if (!firmware) {
+      return res.status(404).json({ message: "Firmware not found" });
+    }
+    if (firmware.status !== "review") {
+      return res.status(400).json({ message: `Cannot approve a firmware in ${firmware.status} state` });
+    }
+    // Without a recorded uploader the two-person rule can't be checked, so only an explicit admin override releases it
+    const uploaderUnknown = !firmware.uploadedBy;
+    if (uploaderUnknown && !(req.firmwareUser.role === "admin" && req.body.override === true)) {
+      return res.status(403).json({ message: "The uploader of this firmware is unknown; an admin must approve it with override: true" });
+    }
+    if (!uploaderUnknown && String(firmware.uploadedBy) === String(req.user.id)) {
+      return res.status(403).json({ message: "Firmware must be approved by a different user than the uploader" });
+    }
+
+    firmware.status = "released";
+    firmware.approvedBy = req.user.id;
+    firmware.releasedAt = new Date();
+    firmware.reviewComments.push({
+      userId: req.user.id,
+      userName: req.firmwareUser.name,
+      action: "approved",
+      comment: uploaderUnknown ? `[Admin override: uploader unknown] ${req.body.comment || ""}`.trim() : req.body.comment
+    });
+    await firmware.save();
+    await MqttBridge.notifyFirmwareAvailable(firmware);
+
+    res.status(200).json({ message: "Firmware approved and released", firmwareId: firmware._id, status: firmware.status });
+  } catch (err) {
+    res.status(500).json({ message: "Approval failed", error: err.message });
+  }
+});
+
+// Reject a firmware under review with a reason
+Router.post("/:id/reject", authenticate, requireFirmwareRelease, async (req, res) => {
+  try {
+    const { comment } = req.body;
+    if (!comment) {
+      return res.status(400).json({ message: "A comment explaining the rejection is required" });
+    }
+
+    const firmware = await findFirmwareForReview(req.params.id);
     if (!firmware) {
       return res.status(404).json({ message: "Firmware not found" });
     }
+    if (firmware.status !== "review") {
+      return res.status(400).json({ message: `Cannot reject a firmware in ${firmware.status} state` });
+    }
 
-    await FirmwareModel.findByIdAndDelete(req.params.id);
+    firmware.status = "rejected";
+    firmware.reviewComments.push({
+      userId: req.user.id,
+      userName: req.firmwareUser.name,
+      action: "rejected",
+      comment
+    });
+    await firmware.save();
+
+    res.status(200).json({ message: "Firmware rejected", firmwareId: firmware._id, status: firmware.status });
+  } catch (err) {
+    res.status(500).json({ message: "Rejection failed", error: err.message });
+  }
+});
+
+// Add a reviewer comment without changing state
+Router.post("/:id/comments", authenticate, requireFirmwareAccess, async (req, res) => {
+  try {
+    const { comment } = req.body;
+    if (!comment) {
+      return res.status(400).json({ message: "Comment is required" });
+    }
+
+    const firmware = await findFirmwareForReview(req.params.id);
+    if (!firmware) {
+      return res.status(404).json({ message: "Firmware not found" });
+    }
+
+    firmware.reviewComments.push({
+      userId: req.user.id,
+      userName: req.firmwareUser.name,
+      action: "comment",
+      comment
+    });
+    await firmware.save();
+
+    res.status(201).json(firmware.reviewComments[firmware.reviewComments.length - 1]);
+  } catch (err) {
+    res.status(500).json({ message: "Error adding comment", error: err.message });
+  }
+});
+
+// Promote a firmware to the next (or a given, more stable) release channel
+Router.post("/:id/promote", authenticate, requireAdmin, async (req, res) => {
+  try {
+    const firmware = await FirmwareModel.findById(req.params.id).select("-fileData");
+    if (!firmware) {
+      return res.status(404).json({ message: "Firmware not found" });
+    }
+
+    const fromChannel = firmware.channel || DEFAULT_CHANNEL;
+    const toChannel = req.body.channel || nextChannel(fromChannel);
+    if (!toChannel) {
+      return res.status(400).json({ message: `Version ${firmware.version} is already on the ${fromChannel} channel` });
+    }
+    if (!isValidChannel(toChannel) || CHANNELS.indexOf(toChannel) <= CHANNELS.indexOf(fromChannel)) {
+      return res.status(400).json({ message: `Cannot promote from ${fromChannel} to ${toChannel}` });
+    }
+
+    firmware.channel = toChannel;
+    await firmware.save();
+    await MqttBridge.notifyFirmwareAvailable(firmware);
+
+    try {
+      await ActivityLogger.logFirmwarePromoted(
+        req.user.id,
+        firmware.esp_id,
+        firmware.version,
+        fromChannel,
+        toChannel,
+        {
+          firmwareId: firmware._id,
+          promotedBy: req.user.name
+        }
+      );
+    } catch (activityError) {
+      console.error('Error logging activity:', activityError);
+      // Don't fail the main request if activity logging fails
+    }
+
+    res.status(200).json({
+      message: `Version ${firmware.version} promoted from ${fromChannel} to ${toChannel}`,
+      firmwareId: firmware._id,
+      channel: toChannel
+    });
+  } catch (err) {
+    res.status(500).json({ message: "Promotion failed", error: err.message });
+  }
+});
+
+// Update the hardware compatibility declaration. It changes which devices receive the image,
+// so it needs the same permission as releasing it.
+Router.put("/:id/compatibility", authenticate, requireFirmwareRelease, async (req, res) => {
+  try {
+    const firmware = await FirmwareModel.findById(req.params.id).select("-fileData");
+    if (!firmware) {
+      return res.status(404).json({ message: "Firmware not found" });
+    }
+
+    const { isValid, error, compatibility } = FirmwareCompatibility.parse(req.body, firmware.version);
+    if (!isValid) {
+      return res.status(400).json({ message: error });
+    }
+
+    const device = await Device.findOne({ deviceId: firmware.esp_id });
+    const hardwareCheck = FirmwareCompatibility.check({ compatibility }, device);
+    if (!hardwareCheck.compatible) {
+      return res.status(400).json({
+        message: `Firmware would no longer be compatible with device ${firmware.esp_id}: ${hardwareCheck.reasons.join("; ")}`
+      });
+    }
+
+    firmware.compatibility = compatibility;
+    await firmware.save();
+
+    res.status(200).json({
+      message: "Compatibility updated",
+      firmwareId: firmware._id,
+      compatibility: firmware.compatibility
+    });
+  } catch (err) {
+    res.status(500).json({ message: "Error updating compatibility", error: err.message });
+  }
+});
+
+// === RELEASE NOTES ===
+
+// Replace the structured release notes of a firmware
+Router.put("/:id/release-notes", authenticate, requireFirmwareAccess, async (req, res) => {
+  try {
+    const firmware = await FirmwareModel.findById(req.params.id).select("-fileData");
+    if (!firmware) {
+      return res.status(404).json({ message: "Firmware not found" });
+    }
+
+    const { isValid, error, releaseNotes } = ReleaseNotesService.parse(req.body);
+    if (!isValid) {
+      return res.status(400).json({ message: error });
+    }
+
+    firmware.releaseNotes = { ...releaseNotes, updatedAt: new Date(), updatedBy: req.user.id };
+    await firmware.save();
+
+    res.status(200).json({
+      message: "Release notes updated",
+      firmwareId: firmware._id,
+      releaseNotes: firmware.releaseNotes
+    });
+  } catch (err) {
+    res.status(500).json({ message: "Error updating release notes", error: err.message });
+  }
+});
+
+// Changelog for a device between two versions: everything after `from` up to and including `to`.
+// `to` defaults to the newest version; firmware users can add includeUnreleased=true.
+Router.get("/changelog/:esp_id", optionalAuthenticate, async (req, res) => {
+  try {
+    const { from, to } = req.query;
+    const includeUnreleased = req.query.includeUnreleased === "true" && hasFirmwareAccess(await loadFirmwareUser(req));
+
+    const changelog = await ReleaseNotesService.buildChangelog(req.params.esp_id, { from, to, includeUnreleased });
+    res.status(200).json(changelog);
+  } catch (err) {
+    res.status(500).json({ message: "Error building changelog", error: err.message });
+  }
+});
+
+// Re-hash every stored image to detect storage corruption (admin only)
+Router.post("/integrity/verify", authenticate, requireAdmin, async (req, res) => {
+  try {
+    const backfill = req.query.backfill === "true";
+    const report = await FirmwareIntegrityService.verifyStoredImages({ backfill });
+    res.status(200).json(report);
+  } catch (err) {
+    res.status(500).json({ message: "Integrity check failed", error: err.message });
+  }
+});
+
+// === RETENTION ===
+
+// Helper: keepLast from a request, falling back to the configured default
+const parseKeepLast = (value) => {
+  if (value === undefined || value === "") return { isValid: true, keepLast: FirmwareRetentionService.DEFAULT_KEEP_LAST };
+  const keepLast = parseInt(value, 10);
+  if (isNaN(keepLast) || keepLast < 1) {
+    return { isValid: false, error: "keepLast must be a positive integer" };
+  }
+  return { isValid: true, keepLast };
+};
+
+// Dry-run report of what the retention policy would delete
+Router.get("/retention/report", authenticate, requireFirmwareAccess, async (req, res) => {
+  try {
+    const { isValid, error, keepLast } = parseKeepLast(req.query.keepLast);
+    if (!isValid) {
+      return res.status(400).json({ message: error });
+    }
+    const report = await FirmwareRetentionService.buildReport({ esp_id: req.query.esp_id, keepLast });
+    res.status(200).json(report);
+  } catch (err) {
+    res.status(500).json({ message: "Error building retention report", error: err.message });
+  }
+});
+
+// Run the retention policy now instead of waiting for the scheduler
+Router.post("/retention/run", authenticate, requireAdmin, async (req, res) => {
+  try {
+    const { isValid, error, keepLast } = parseKeepLast(req.body.keepLast);
+    if (!isValid) {
+      return res.status(400).json({ message: error });
+    }
+    const dryRun = req.body.dryRun === true || req.body.dryRun === "true";
+    const report = await FirmwareRetentionService.runCleanup({ esp_id: req.body.esp_id, keepLast, dryRun });
+
+    if (!dryRun) {
+      try {
+        await ActivityLogger.logBulkOperation(req.user.id, "Firmware retention cleanup", report.removed.length, {
+          esp_id: req.body.esp_id,
+          keepLast,
+          removed: report.removed.map(firmware => `${firmware.version} (${firmware.id})`)
+        });
+      } catch (activityError) {
+        console.error('Error logging activity:', activityError);
+        // Don't fail the main request if activity logging fails
+      }
+    }
+
+    res.status(200).json(report);
+  } catch (err) {
+    res.status(500).json({ message: "Retention cleanup failed", error: err.message });
+  }
+});
+
+// === SIGNING KEYS ===
+
+// Public keys devices should trust when verifying firmware signatures
+Router.get("/signing-keys", async (req, res) => {
+  try {
+    const keys = await FirmwareSigningService.listPublicKeys();
+    res.status(200).json(keys);
+  } catch (err) {
+    res.status(500).json({ message: "Error fetching signing keys", error: err.message });
+  }
+});
+
+// Rotate: new uploads get signed with a fresh key, older keys stay published
+Router.post("/signing-keys/rotate", authenticate, requireAdmin, async (req, res) => {
+  try {
+    const signingKey = await FirmwareSigningService.rotateKey();
+    res.status(201).json({
+      message: "Signing key rotated",
+      keyId: signingKey.keyId,
+      algorithm: signingKey.algorithm,
+      publicKey: signingKey.publicKey
+    });
+  } catch (err) {
+    res.status(500).json({ message: "Key rotation failed", error: err.message });
+  }
+});
+
+// Revoke a retired key
+Router.delete("/signing-keys/:keyId", authenticate, requireAdmin, async (req, res) => {
+  try {
+    const result = await FirmwareSigningService.revokeKey(req.params.keyId);
+    if (!result.revoked) {
+      return res.status(400).json({ message: result.error });
+    }
+    res.status(200).json({ message: "Signing key revoked", keyId: result.key.keyId });
+  } catch (err) {
+    res.status(500).json({ message: "Key revocation failed", error: err.message });
+  }
+});
+
+
+// Delete a firmware image (firmware users only; images still in use are protected)
+Router.delete("/delete/:id", authenticate, requireFirmwareAccess, async (req, res) => {
+  try {
+    const firmware = await FirmwareModel.findById(req.params.id).select("-fileData");
+
+    if (!firmware) {
+      return res.status(404).json({ message: "Firmware not found" });
+    }
+
+    // Images still running in the field, pinned or under rollout can't be deleted
+    const protectionReasons = await FirmwareRetentionService.getProtectionReasons(firmware);
+    if (protectionReasons.length > 0) {
+      return res.status(409).json({
+        message: `Version ${firmware.version} is still in use (${protectionReasons.join(", ")})`,
+        reasons: protectionReasons
+      });
+    }
+
+    await FirmwareRetentionService.removeFirmware(firmware);
 
     res.status(200).json({ message: "Firmware deleted successfully" });
   } catch (err) {
@@ -276,14 +953,17 @@ Router.delete("/delete/:id", async (req, res) => {
 
 // Firmware Report API
 
-Router.post("/report", async (req, res) => {
+Router.post("/report", authenticateDevice, async (req, res) => {
   try {
     const { pic_id,esp_id, status, previous_firmware_version, updated_firmware_version } = req.body;
 
     // Simple validation
-    if (!pic_id ||esp_id|| !status || !previous_firmware_version || !updated_firmware_version) {
+    if (!pic_id || !esp_id || !status || !previous_firmware_version || !updated_firmware_version) {
       return res.status(400).json({ message: "Missing required fields" });
     }
+    if (!isSameDevice(req, esp_id)) {
+      return res.status(403).json({ message: "Credentials do not belong to this device" });
+    }
 
     // Log or save report (example: console log)
     console.log("Firmware Update Report:");
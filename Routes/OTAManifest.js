@@ -0,0 +1,65 @@
+const Router = require('express').Router();
+const OtaManifestService = require('../Services/OtaManifestService');
+const { optionalAuthenticate } = require('../Middleware/auth');
+const { authenticateDevice, isSameDevice } = require('../Middleware/deviceAuth');
+
+// Helper: accept "a,b" as well as repeated query params
+const parseList = (value) => {
+  if (!value) return [];
+  const values = Array.isArray(value) ? value : String(value).split(',');
+  return values.map(v => String(v).trim()).filter(v => v !== '');
+};
+
+// Helper: base URL used to build absolute download links
+const getBaseUrl = (req) => process.env.PUBLIC_BASE_URL || `${req.protocol}://${req.get('host')}`;
+
+// GET: Device-facing update manifest
+// Query: deviceId, currentVersion, currentSha256 (of the running image, for delta patches), picIds (comma separated),
+// hardwareRevision, picModel, bootloaderVersion, flashAddress (OTA partition offset, for devices using flash encryption)
+Router.get('/manifest', optionalAuthenticate, authenticateDevice, async (req, res) => {
+  try {
+    const { deviceId, currentVersion, currentSha256, hardwareRevision, picModel, bootloaderVersion, flashAddress } = req.query;
+
+    const missingFields = Object.entries({ deviceId, currentVersion })
+      .filter(([, value]) => value === undefined || String(value).trim() === '')
+      .map(([key]) => key);
+
+    if (missingFields.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `Missing required fields: ${missingFields.join(', ')}`
+      });
+    }
+
+    if (!isSameDevice(req, String(deviceId).trim())) {
+      return res.status(403).json({ success: false, message: 'Credentials do not belong to this device' });
+    }
+
+    const { found, manifest } = await OtaManifestService.buildManifest({
+      deviceId: String(deviceId).trim(),
+      currentVersion: String(currentVersion).trim(),
+      currentSha256: currentSha256 ? String(currentSha256).trim() : undefined,
+      picIds: parseList(req.query.picIds),
+      hardwareRevision: hardwareRevision ? String(hardwareRevision).trim() : undefined,
+      picModel: picModel ? String(picModel).trim() : undefined,
+      bootloaderVersion: bootloaderVersion ? String(bootloaderVersion).trim() : undefined,
+      flashAddress: flashAddress ? String(flashAddress).trim() : undefined,
+      baseUrl: getBaseUrl(req)
+    });
+
+    if (!found) {
+      return res.status(404).json({ success: false, message: 'Device not found' });
+    }
+
+    res.status(200).json(manifest);
+  } catch (error) {
+    console.error('Error building OTA manifest:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message
+    });
+  }
+});
+
+module.exports = Router;
@@ -1,311 +1,54 @@
 // routes/otaUpdates.js
 const Router = require('express').Router();
 const OTAUpdate = require('../Models/OTAUpdateModel');
-const StatusManagement = require('../Models/StatusManagementModel');
-const DashboardStats = require('../Models/DashboardStatsModel');
 const Device = require('../Models/DeviceModel'); // adjust path if needed
+const { sortVersions } = require('../Services/VersionUtils');
+const { authenticateDevice } = require('../Middleware/deviceAuth');
+const OtaReportService = require('../Services/OtaReportService');
+const OtaProgressService = require('../Services/OtaProgressService');
 
-// Helper: safely parse truthy/falsey payloads into booleans
-const parseBoolean = (value) => {
-  if (typeof value === 'boolean') return value;
-  if (typeof value === 'string') {
-    const normalized = value.trim().toLowerCase();
-    if (normalized === 'true') return true;
-    if (normalized === 'false') return false;
-    if (normalized === '1') return true;
-    if (normalized === '0') return false;
-  }
-  if (typeof value === 'number') {
-    if (value === 1) return true;
-    if (value === 0) return false;
-  }
-  return Boolean(value);
-};
-
-const normalizeVersionParts = (version) => {
-  if (typeof version !== 'string') {
-    if (version === undefined || version === null) {
-      return [0];
-    }
-    version = String(version);
-  }
-  if (version.trim() === '') return [0];
-  return version
-    .split('.')
-    .map(part => {
-      const num = parseInt(part, 10);
-      return isNaN(num) ? 0 : num;
+// POST: Receive ESP32 OTA update report
+// Optional: reportId (stable across retries) and deviceTimestamp make retries safe
+Router.post('/report', authenticateDevice, async (req, res) => {
+  try {
+    const { statusCode, body } = await OtaReportService.processReport(req.body, { device: req.device });
+    res.status(statusCode).json(body);
+  } catch (error) {
+    console.error('Error processing OTA update report:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message
     });
-};
-
-// Returns:
-//  -1 => previousVersion < updatedVersion
-//   0 => equal
-//   1 => previousVersion > updatedVersion
-const compareVersions = (previousVersion, updatedVersion) => {
-  const prevParts = normalizeVersionParts(previousVersion);
-  const updatedParts = normalizeVersionParts(updatedVersion);
-  const maxLength = Math.max(prevParts.length, updatedParts.length);
-
-  for (let i = 0; i < maxLength; i++) {
-    const prev = prevParts[i] ?? 0;
-    const updated = updatedParts[i] ?? 0;
-    if (prev > updated) return 1;
-    if (prev < updated) return -1;
   }
+});
 
-  return 0;
-};
-
-// Helper function to get today's date at midnight in local timezone
-const getTodayDate = () => {
-  const today = new Date();
-  const year = today.getFullYear();
-  const month = today.getMonth();
-  const day = today.getDate();
-  return new Date(year, month, day, 0, 0, 0, 0);
-};
-
-// Helper: find or create dashboard stats doc for device and date
-const findOrCreateDashboardStats = async (deviceId, date) => {
+// POST: Submit reports buffered while the device was offline
+// Body: { reports: [...] } with the same fields as /report; each report needs a deviceTimestamp.
+// Reports are applied oldest first; results come back in request order.
+Router.post('/report/batch', authenticateDevice, async (req, res) => {
   try {
-    const normalizedDate = new Date(date);
-    const year = normalizedDate.getFullYear();
-    const month = normalizedDate.getMonth();
-    const day = normalizedDate.getDate();
-    const localMidnight = new Date(year, month, day, 0, 0, 0, 0);
-
-    const startOfDay = new Date(localMidnight);
-    const endOfDay = new Date(localMidnight);
-    endOfDay.setDate(endOfDay.getDate() + 1);
-
-    let stats = await DashboardStats.findOne({
-      deviceId: deviceId,
-      'stats.date': {
-        $gte: startOfDay,
-        $lt: endOfDay
-      }
-    });
-
-    if (!stats) {
-      stats = new DashboardStats({
-        deviceId: deviceId,
-        stats: {
-          date: localMidnight,
-          records: {
-            success: [],
-            failure: [],
-            other: []
-          }
-        }
-      });
-    } else {
-      // normalize structure
-      if (!stats.stats || typeof stats.stats !== 'object') {
-        stats.stats = {
-          date: localMidnight,
-          records: { success: [], failure: [], other: [] }
-        };
-      } else {
-        stats.stats.date = localMidnight;
-        if (!stats.stats.records) stats.stats.records = { success: [], failure: [], other: [] };
-        stats.stats.records.success = Array.isArray(stats.stats.records.success) ? stats.stats.records.success : [];
-        stats.stats.records.failure = Array.isArray(stats.stats.records.failure) ? stats.stats.records.failure : [];
-        stats.stats.records.other = Array.isArray(stats.stats.records.other) ? stats.stats.records.other : [];
-      }
-    }
-
-    return stats;
+    const { statusCode, body } = await OtaReportService.processBatch(req.body.reports, { device: req.device });
+    res.status(statusCode).json(body);
   } catch (error) {
-    console.error('Error in findOrCreateDashboardStats:', error);
-    throw error;
+    console.error('Error processing OTA update report batch:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message
+    });
   }
-};
+});
 
-// POST: Receive ESP32 OTA update report
-Router.post('/report', async (req, res) => {
+// POST: Intermediate progress of a running update
+// Body: deviceId, stage (downloading, verifying, flashing, rebooting), optional pic_id, percent,
+// picIndex/picCount (PIC n of m), targetVersion, reprogramming, message and deviceTimestamp
+Router.post('/progress', authenticateDevice, async (req, res) => {
   try {
-    const {
-      pic_id,
-      deviceId,
-      status,
-      previousVersion,
-      updatedVersion,
-      reprogramming: reprogrammingInput
-    } = req.body;
-
-    const requiredFieldMap = {
-      pic_id,
-      deviceId,
-      status,
-      previousVersion,
-      updatedVersion
-    };
-
-    const missingFields = Object.entries(requiredFieldMap)
-      .filter(([, value]) => value === undefined || value === null || String(value).trim() === '')
-      .map(([key]) => key);
-
-    if (reprogrammingInput === undefined || reprogrammingInput === null || String(reprogrammingInput).trim() === '') {
-      missingFields.push('reprogramming');
-    }
-
-    if (missingFields.length > 0) {
-      return res.status(400).json({
-        success: false,
-        message: `Missing required fields: ${missingFields.join(', ')}`
-      });
-    }
-
-    const sanitizedPreviousVersion = String(previousVersion).trim();
-    const sanitizedUpdatedVersion = String(updatedVersion).trim();
-    const isReprogramming = parseBoolean(reprogrammingInput);
-
-    const statusManagement = await StatusManagement.findOne({ deviceId: deviceId });
-    if (!statusManagement) {
-      return res.status(404).json({
-        success: false,
-        message: 'Status management configuration not found for this device'
-      });
-    }
-
-    const statusCodes = Array.isArray(statusManagement.statusCodes) ? statusManagement.statusCodes : [];
-    const statusCode = statusCodes.find(sc => sc.code.toString() === status.toString());
-    if (!statusCode) {
-      return res.status(404).json({
-        success: false,
-        message: 'Status code not found in status management configuration'
-      });
-    }
-
-    const baseBadge = statusCode.badge || 'other';
-    let finalBadge = baseBadge;
-    const versionComparison = compareVersions(sanitizedPreviousVersion, sanitizedUpdatedVersion);
-    const isVersionUpgrade = versionComparison === -1;
-    const isVersionEqual = versionComparison === 0;
-    const shouldHandleReprogrammingSuccess = isReprogramming && baseBadge === 'success';
-    const alreadyUpdatedCase = !isReprogramming && isVersionEqual && baseBadge === 'other';
-    const lowerToUpper = !isReprogramming && isVersionUpgrade;
-
-    if (shouldHandleReprogrammingSuccess || alreadyUpdatedCase) {
-      finalBadge = 'other';
-    }
-
-    const timestamp = new Date();
-
-    const otaUpdate = new OTAUpdate({
-      pic_id,
-      deviceId,
-      status,
-      previousVersion: sanitizedPreviousVersion,
-      updatedVersion: sanitizedUpdatedVersion,
-      statusMessage: statusCode.message,
-      badge: finalBadge,
-      color: statusCode.color,
-      reprogramming: isReprogramming,
-      recovered: finalBadge === 'failure' ? false : true,
-      timestamp: timestamp
-    });
-
-    await otaUpdate.save();
-
-    let dashboardStats = null;
-    let dashboardModified = false;
-    const needsDashboardUpdate = shouldHandleReprogrammingSuccess || alreadyUpdatedCase || lowerToUpper;
-
-    if (needsDashboardUpdate) {
-      const today = getTodayDate();
-      dashboardStats = await findOrCreateDashboardStats(deviceId, today);
-
-      // Ensure record buckets exist
-      const records = dashboardStats.stats.records || {};
-      dashboardStats.stats.records = records;
-      records.success = Array.isArray(records.success) ? records.success : [];
-      records.failure = Array.isArray(records.failure) ? records.failure : [];
-      records.other = Array.isArray(records.other) ? records.other : [];
-
-      const baseRecord = {
-        picID: pic_id,
-        deviceId: deviceId,
-        status: status,
-        statusMessage: statusCode.message,
-        badge: finalBadge,
-        previousVersion: sanitizedPreviousVersion,
-        updatedVersion: sanitizedUpdatedVersion,
-        reprogramming: isReprogramming,
-        timestamp: timestamp,
-        date: dashboardStats.stats.date || today
-      };
-
-      const addRecord = (bucket, overrides = {}) => {
-        const record = {
-          ...baseRecord,
-          recovered: bucket === 'failure' ? false : true,
-          ...overrides
-        };
-        records[bucket].push(record);
-        dashboardStats.markModified(`stats.records.${bucket}`);
-        dashboardModified = true;
-        return record;
-      };
-
-      const findUnrecoveredFailure = () => {
-        return records.failure.find(r => r.picID === pic_id && r.deviceId === deviceId && r.recovered === false);
-      };
-
-      if (shouldHandleReprogrammingSuccess) {
-        addRecord('other');
-      } else if (alreadyUpdatedCase) {
-        addRecord('other');
-      } else if (lowerToUpper) {
-        if (finalBadge === 'success') {
-          const unrecoveredFailure = findUnrecoveredFailure();
-          if (unrecoveredFailure) {
-            unrecoveredFailure.recovered = true;
-            dashboardStats.markModified('stats.records.failure');
-            dashboardModified = true;
-            await OTAUpdate.updateMany(
-              { pic_id, deviceId, badge: 'failure', recovered: false },
-              { $set: { recovered: true } }
-            );
-          }
-          addRecord('success');
-        } else if (finalBadge === 'failure') {
-          const existingFailure = findUnrecoveredFailure();
-          if (!existingFailure) {
-            addRecord('failure', { recovered: false });
-          }
-        } else {
-          addRecord('other');
-        }
-      }
-    }
-
-    if (dashboardStats && dashboardModified) {
-      try {
-        await dashboardStats.save();
-        console.log('✅ Dashboard stats saved successfully');
-      } catch (saveError) {
-        console.error('❌ Error saving dashboard stats:', saveError);
-        throw new Error(`Failed to save dashboard stats: ${saveError.message}`);
-      }
-    }
-
-    res.status(200).json({
-      success: true,
-      message: 'OTA update report processed successfully',
-      data: {
-        otaUpdate: otaUpdate,
-        dashboardStats: dashboardStats,
-        updateType: finalBadge,
-        badge: finalBadge,
-        reprogramming: isReprogramming,
-        timestamp: timestamp
-      }
-    });
-
+    const { statusCode, body } = await OtaProgressService.recordProgress(req.body, { device: req.device });
+    res.status(statusCode).json(body);
   } catch (error) {
-    console.error('Error processing OTA update report:', error);
+    console.error('Error recording OTA progress:', error);
     res.status(500).json({
       success: false,
       message: 'Internal server error',
@@ -346,10 +89,8 @@ Router.get('/versions', async (req, res) => {
     // Get distinct versions for the appropriate field
     const versions = await OTAUpdate.distinct(versionField, baseQuery);
     
-    // Filter out null/empty values and sort
-    const cleanVersions = versions
-      .filter(v => v && v.trim() !== '')
-      .sort()
+    // Filter out null/empty values and sort by version precedence
+    const cleanVersions = sortVersions(versions.filter(v => v && v.trim() !== ''))
       .map(version => ({
         value: version,
         label: version
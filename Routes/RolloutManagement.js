@@ -0,0 +1,236 @@
+const Router = require('express').Router();
+const RolloutCampaign = require('../Models/RolloutCampaignModel');
+const FirmwareModel = require('../Models/FirmwareTableModel');
+const RolloutService = require('../Services/RolloutService');
+const { authenticate, requireAdmin } = require('../Middleware/auth');
+
+// Helper: validate stage list (ascending percentages ending at 100)
+const validateStages = (stages) => {
+  if (!Array.isArray(stages) || stages.length === 0) {
+    return 'stages must be a non-empty array';
+  }
+  if (stages.some(stage => !stage || typeof stage !== 'object' || Array.isArray(stage))) {
+    return 'Each stage must be an object with a percentage';
+  }
+  for (let i = 0; i < stages.length; i++) {
+    const percentage = Number(stages[i].percentage);
+    if (isNaN(percentage) || percentage <= 0 || percentage > 100) {
+      return 'Stage percentages must be between 1 and 100';
+    }
+    if (i > 0 && percentage <= Number(stages[i - 1].percentage)) {
+      return 'Stage percentages must be increasing';
+    }
+  }
+  if (Number(stages[stages.length - 1].percentage) !== 100) {
+    return 'The last stage must reach 100%';
+  }
+  return null;
+};
+
+// Helper: validate target selector
+const validateTarget = (target) => {
+  if (!target || !['project', 'devices', 'tag'].includes(target.type)) {
+    return "target.type must be one of 'project', 'devices' or 'tag'";
+  }
+  if (target.type === 'project' && !target.project) return 'target.project is required';
+  if (target.type === 'devices' && (!Array.isArray(target.deviceIds) || target.deviceIds.length === 0)) {
+    return 'target.deviceIds must be a non-empty array';
+  }
+  if (target.type === 'tag' && !target.tag) return 'target.tag is required';
+  return null;
+};
+
+// GET: List rollout campaigns
+Router.get('/', authenticate, async (req, res) => {
+  try {
+    const { status, version } = req.query;
+    const query = {};
+    if (status) query.status = status;
+    if (version) query.version = version;
+
+    const campaigns = await RolloutCampaign.find(query).sort({ createdAt: -1 });
+    res.status(200).json({ success: true, data: campaigns });
+  } catch (error) {
+    console.error('Error fetching rollout campaigns:', error);
+    res.status(500).json({ success: false, message: 'Internal server error', error: error.message });
+  }
+});
+
+// POST: Evaluate all active campaigns now instead of waiting for the scheduler
+Router.post('/evaluate', authenticate, requireAdmin, async (req, res) => {
+  try {
+    const results = await RolloutService.evaluateCampaigns();
+    res.status(200).json({ success: true, data: results });
+  } catch (error) {
+    console.error('Error evaluating rollout campaigns:', error);
+    res.status(500).json({ success: false, message: 'Internal server error', error: error.message });
+  }
+});
+
+// GET: Campaign details with live outcome stats
+Router.get('/:id', authenticate, async (req, res) => {
+  try {
+    const campaign = await RolloutCampaign.findById(req.params.id);
+    if (!campaign) {
+      return res.status(404).json({ success: false, message: 'Rollout campaign not found' });
+    }
+    const stats = await RolloutService.getCampaignStats(campaign);
+    res.status(200).json({ success: true, data: { campaign, stats } });
+  } catch (error) {
+    console.error('Error fetching rollout campaign:', error);
+    res.status(500).json({ success: false, message: 'Internal server error', error: error.message });
+  }
+});
+
+// POST: Create a rollout campaign (admin only)
+Router.post('/', authenticate, requireAdmin, async (req, res) => {
+  try {
+    const { name, description, firmwareId, target, stages, autoAdvance, failureThreshold, minReports } = req.body;
+    let { version } = req.body;
+
+    if (!name) {
+      return res.status(400).json({ success: false, message: 'name is required' });
+    }
+
+    let firmware = null;
+    if (firmwareId) {
+      firmware = await FirmwareModel.findById(firmwareId).select('version esp_id');
+      if (!firmware) {
+        return res.status(404).json({ success: false, message: 'Firmware not found' });
+      }
+      version = firmware.version;
+    }
+    if (!version) {
+      return res.status(400).json({ success: false, message: 'firmwareId or version is required' });
+    }
+
+    const targetError = validateTarget(target);
+    if (targetError) {
+      return res.status(400).json({ success: false, message: targetError });
+    }
+
+    if (stages !== undefined) {
+      const stagesError = validateStages(stages);
+      if (stagesError) {
+        return res.status(400).json({ success: false, message: stagesError });
+      }
+    }
+
+    // Campaigns for the same version may run side by side as long as they gate different images or devices
+    const unfinished = await RolloutCampaign.find({ version, status: { $in: ['active', 'paused', 'halted'] } });
+    for (const existing of unfinished) {
+      const sameFirmware = !firmware || !existing.firmware || String(existing.firmware) === String(firmware._id);
+      if (sameFirmware && await RolloutService.targetsOverlap(existing.target, target)) {
+        return res.status(400).json({
+          success: false,
+          message: `Version ${version} already has an unfinished rollout campaign for some of these devices (${existing.name})`
+        });
+      }
+    }
+
+    const campaign = new RolloutCampaign({
+      name,
+      description,
+      version,
+      firmware: firmware ? firmware._id : undefined,
+      target: {
+        type: target.type,
+        project: target.type === 'project' ? target.project : undefined,
+        deviceIds: target.type === 'devices' ? target.deviceIds : [],
+        tag: target.type === 'tag' ? target.tag : undefined
+      },
+      stages,
+      autoAdvance,
+      failureThreshold,
+      minReports,
+      createdBy: req.user.id
+    });
+    RolloutService.recordHistory(campaign, 'created', { userId: req.user.id });
+    await campaign.save();
+
+    res.status(201).json({ success: true, data: campaign });
+  } catch (error) {
+    console.error('Error creating rollout campaign:', error);
+    res.status(500).json({ success: false, message: 'Internal server error', error: error.message });
+  }
+});
+
+// POST: Manually move a campaign to its next stage
+Router.post('/:id/advance', authenticate, requireAdmin, async (req, res) => {
+  try {
+    const campaign = await RolloutCampaign.findById(req.params.id);
+    if (!campaign) {
+      return res.status(404).json({ success: false, message: 'Rollout campaign not found' });
+    }
+    if (campaign.status !== 'active' && campaign.status !== 'paused') {
+      return res.status(400).json({ success: false, message: `Cannot advance a ${campaign.status} campaign` });
+    }
+    await RolloutService.advance(campaign, { reason: req.body.reason || 'Advanced manually', userId: req.user.id });
+    res.status(200).json({ success: true, data: campaign });
+  } catch (error) {
+    console.error('Error advancing rollout campaign:', error);
+    res.status(500).json({ success: false, message: 'Internal server error', error: error.message });
+  }
+});
+
+// POST: Pause a campaign (devices already in the current stage keep receiving the version)
+Router.post('/:id/pause', authenticate, requireAdmin, async (req, res) => {
+  try {
+    const campaign = await RolloutCampaign.findById(req.params.id);
+    if (!campaign) {
+      return res.status(404).json({ success: false, message: 'Rollout campaign not found' });
+    }
+    if (campaign.status !== 'active') {
+      return res.status(400).json({ success: false, message: `Cannot pause a ${campaign.status} campaign` });
+    }
+    campaign.status = 'paused';
+    RolloutService.recordHistory(campaign, 'paused', { reason: req.body.reason, userId: req.user.id });
+    await campaign.save();
+    res.status(200).json({ success: true, data: campaign });
+  } catch (error) {
+    console.error('Error pausing rollout campaign:', error);
+    res.status(500).json({ success: false, message: 'Internal server error', error: error.message });
+  }
+});
+
+// POST: Resume a paused or halted campaign; the soak timer restarts for the current stage
+Router.post('/:id/resume', authenticate, requireAdmin, async (req, res) => {
+  try {
+    const campaign = await RolloutCampaign.findById(req.params.id);
+    if (!campaign) {
+      return res.status(404).json({ success: false, message: 'Rollout campaign not found' });
+    }
+    if (campaign.status !== 'paused' && campaign.status !== 'halted') {
+      return res.status(400).json({ success: false, message: `Cannot resume a ${campaign.status} campaign` });
+    }
+    campaign.status = 'active';
+    campaign.haltReason = undefined;
+    campaign.stageStartedAt = new Date();
+    RolloutService.recordHistory(campaign, 'resumed', { reason: req.body.reason, userId: req.user.id });
+    await campaign.save();
+    res.status(200).json({ success: true, data: campaign });
+  } catch (error) {
+    console.error('Error resuming rollout campaign:', error);
+    res.status(500).json({ success: false, message: 'Internal server error', error: error.message });
+  }
+});
+
+// POST: Halt a campaign, nobody new receives the version
+Router.post('/:id/halt', authenticate, requireAdmin, async (req, res) => {
+  try {
+    const campaign = await RolloutCampaign.findById(req.params.id);
+    if (!campaign) {
+      return res.status(404).json({ success: false, message: 'Rollout campaign not found' });
+    }
+    if (campaign.status === 'completed' || campaign.status === 'halted') {
+      return res.status(400).json({ success: false, message: `Cannot halt a ${campaign.status} campaign` });
+    }
+    await RolloutService.halt(campaign, { reason: req.body.reason || 'Halted manually', userId: req.user.id });
+    res.status(200).json({ success: true, data: campaign });
+  } catch (error) {
+    console.error('Error halting rollout campaign:', error);
+    res.status(500).json({ success: false, message: 'Internal server error', error: error.message });
+  }
+});
+
+module.exports = Router;
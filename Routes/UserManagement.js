@@ -4,9 +4,15 @@ const bcrypt = require('bcryptjs');
 const jwt = require('jsonwebtoken');
 const JWT_SECRET = process.env.JWT_SECRET || 'changeme';
 const Project = require('../Models/ProjectModel');
-const { authenticate, requireAdmin } = require('../Middleware/auth');
+const { authenticate, optionalAuthenticate, requireAdmin } = require('../Middleware/auth');
 const ActivityLogger = require('../Services/ActivityLogger');
 
+// Role and firmware permissions may only be granted by an admin, or by anyone until the first admin exists
+const canGrantPermissions = async (req) => {
+  if (req.user && req.user.role === 'admin') return true;
+  return !(await User.exists({ role: 'admin' }));
+};
+
 // Get all users
 Router.get('/', async (req, res) => {
   try {
@@ -31,14 +37,16 @@ Router.get('/:id', authenticate, async (req, res) => {
 });
 
 // Add new user
-Router.post('/', async (req, res) => {
+Router.post('/', optionalAuthenticate, async (req, res) => {
   try {
-    const { name, email, password, role, canAccessFirmware } = req.body;
+    const { name, email, password } = req.body;
     if (!name || !email || !password) return res.status(400).json({ message: 'Name, email, and password are required' });
+    // Other callers get a plain user; the permission fields are ignored
+    const { role, canAccessFirmware, canReleaseFirmware } = await canGrantPermissions(req) ? req.body : {};
     const existing = await User.findOne({ email });
     if (existing) return res.status(400).json({ message: 'Email already exists' });
     const hashed = await bcrypt.hash(password, 10);
-    const newUser = new User({ name, email, password: hashed, role, canAccessFirmware });
+    const newUser = new User({ name, email, password: hashed, role, canAccessFirmware, canReleaseFirmware });
     await newUser.save();
     
     // Log activity for user creation
@@ -53,6 +61,7 @@ Router.post('/', async (req, res) => {
           email,
           role,
           canAccessFirmware,
+          canReleaseFirmware,
           createdAt: newUser.createdAt
         }
       );
@@ -61,18 +70,26 @@ Router.post('/', async (req, res) => {
       // Don't fail the main request if activity logging fails
     }
     
-    res.status(201).json({ message: 'User created', user: { _id: newUser._id, name, email, role, canAccessFirmware: newUser.canAccessFirmware, createdAt: newUser.createdAt } });
+    res.status(201).json({ message: 'User created', user: { _id: newUser._id, name, email, role, canAccessFirmware: newUser.canAccessFirmware, canReleaseFirmware: newUser.canReleaseFirmware, createdAt: newUser.createdAt } });
   } catch (err) {
     res.status(500).json({ message: 'Error adding user', error: err.message }); 
   }
 });
 
 // Edit user
-Router.put('/:id', async (req, res) => {
+Router.put('/:id', authenticate, async (req, res) => {
   try {
-    const { name, email, password, role, canAccessFirmware } = req.body;
-    const update = { name, email, role };
+    // Otherwise anyone could reset an admin's password and act as them
+    if (req.user.role !== 'admin' && String(req.user.id) !== String(req.params.id)) {
+      return res.status(403).json({ message: 'You can only edit your own account' });
+    }
+    const { name, email, password } = req.body;
+    // Other callers can't change role or firmware permissions; those fields are ignored
+    const { role, canAccessFirmware, canReleaseFirmware } = await canGrantPermissions(req) ? req.body : {};
+    const update = { name, email };
+    if (role !== undefined) update.role = role;
     if (canAccessFirmware !== undefined) update.canAccessFirmware = canAccessFirmware;
+    if (canReleaseFirmware !== undefined) update.canReleaseFirmware = canReleaseFirmware;
     if (password) update.password = await bcrypt.hash(password, 10);
     const updated = await User.findByIdAndUpdate(req.params.id, update, { new: true, runValidators: true }).select('-password');
     if (!updated) return res.status(404).json({ message: 'User not found' });
@@ -89,6 +106,7 @@ Router.put('/:id', async (req, res) => {
           email,
           role,
           canAccessFirmware: updated.canAccessFirmware,
+          canReleaseFirmware: updated.canReleaseFirmware,
           updatedAt: updated.updatedAt
         }
       );
@@ -169,6 +187,7 @@ Router.post('/login', async (req, res) => {
         projects: user.projects, // include projects in user object for frontend if needed
         projectAssignments: user.projectAssignments, // include project assignments with dates
         canAccessFirmware: user.canAccessFirmware, // <-- add this line
+        canReleaseFirmware: user.canReleaseFirmware,
         createdAt: user.createdAt
       }
     });
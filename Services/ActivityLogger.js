@@ -39,6 +39,22 @@ class ActivityLogger {
     });
   }
 
+  static async logFirmwarePromoted(userId, deviceId, version, fromChannel, toChannel, details = {}) {
+    await this.createActivity(userId, {
+      activityType: 'FIRMWARE_PROMOTED',
+      title: 'Firmware Promoted',
+      description: `Firmware version ${version} for device ${deviceId} promoted from ${fromChannel} to ${toChannel}`,
+      severity: 'info',
+      details: {
+        deviceId,
+        version,
+        fromChannel,
+        toChannel,
+        ...details
+      }
+    });
+  }
+
   // Log Device operations
   static async logDeviceAdded(userId, deviceId, deviceName, details = {}) {
     await this.createActivity(userId, {
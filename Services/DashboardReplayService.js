@@ -0,0 +1,213 @@
+const DashboardStats = require('../Models/DashboardStatsModel');
+const Device = require('../Models/DeviceModel');
+const OTAUpdate = require('../Models/OTAUpdateModel');
+const StatusManagement = require('../Models/StatusManagementModel');
+const OtaReportService = require('./OtaReportService');
+
+const BUCKETS = ['success', 'failure', 'other'];
+
+// Helper: local YYYY-MM-DD, the day key the dashboard uses
+const formatLocalDateKey = (date) => {
+  const y = date.getFullYear();
+  const m = String(date.getMonth() + 1).padStart(2, '0');
+  const d = String(date.getDate()).padStart(2, '0');
+  return `${y}-${m}-${d}`;
+};
+
+const countRecords = (records) => {
+  const counts = {};
+  BUCKETS.forEach(bucket => {
+    const list = (records && Array.isArray(records[bucket])) ? records[bucket] : [];
+    counts[bucket] = bucket === 'failure' ? list.filter(r => r && r.recovered === false).length : list.length;
+  });
+  return counts;
+};
+
+// Order-insensitive fingerprint of a day's records, ignoring generated ids
+const recordsSignature = (records) => JSON.stringify(BUCKETS.map(bucket => {
+  const list = (records && Array.isArray(records[bucket])) ? records[bucket] : [];
+  return list
+    .map(r => [r.picID, r.deviceId, r.status, r.badge, r.previousVersion, r.updatedVersion,
+      Boolean(r.recovered), Boolean(r.reprogramming), new Date(r.timestamp).getTime()].join('|'))
+    .sort();
+}));
+
+// DashboardStats is a per-day projection of OTAUpdate. This service recomputes it by replaying the stored
+// reports, oldest first, through the same classification the live report path uses.
+class DashboardReplayService {
+  // Devices covered by a rebuild: one device, a project's devices, or every device with data in the range
+  static async resolveDeviceIds({ deviceId, projectId, start, end }) {
+    if (deviceId) return [String(deviceId)];
+    if (projectId) {
+      const devices = await Device.find({ project: projectId }).select('deviceId');
+      return devices.map(d => d.deviceId);
+    }
+    const [reported, projected] = await Promise.all([
+      OTAUpdate.distinct('deviceId', { timestamp: { $gte: start, $lte: end } }),
+      DashboardStats.distinct('deviceId', { 'stats.date': { $gte: start, $lte: end } })
+    ]);
+    return [...new Set([...reported, ...projected])];
+  }
+
+  // Badge of each status code per device, from the current status management configuration
+  static async loadStatusBadges(deviceIds) {
+    const configs = await StatusManagement.find({ deviceId: { $in: deviceIds } }).select('deviceId statusCodes').lean();
+    const badges = new Map();
+    configs.forEach(config => {
+      const codes = new Map();
+      (config.statusCodes || []).forEach(sc => codes.set(String(sc.code), sc.badge));
+      badges.set(config.deviceId, codes);
+    });
+    return badges;
+  }
+
+  // Replay the range's reports into fresh per-day records. Returns Map of "deviceId|YYYY-MM-DD" to { deviceId, date, records }.
+  static async replay(deviceIds, start, end) {
+    const badges = await this.loadStatusBadges(deviceIds);
+    const days = new Map();
+    let replayed = 0;
+
+    const cursor = OTAUpdate.find({ deviceId: { $in: deviceIds }, timestamp: { $gte: start, $lte: end } })
+      .sort({ timestamp: 1, _id: 1 })
+      .lean()
+      .cursor();
+
+    for await (const otaUpdate of cursor) {
+      replayed++;
+      const codes = badges.get(otaUpdate.deviceId);
+      // Status codes removed from the configuration keep the badge they were stored with
+      const baseBadge = (codes && codes.get(String(otaUpdate.status))) || otaUpdate.badge;
+      const classification = OtaReportService.classify({
+        baseBadge,
+        reprogramming: Boolean(otaUpdate.reprogramming),
+        previousVersion: otaUpdate.previousVersion,
+        updatedVersion: otaUpdate.updatedVersion
+      });
+
+      const date = OtaReportService.startOfLocalDay(otaUpdate.timestamp);
+      const key = `${otaUpdate.deviceId}|${formatLocalDateKey(date)}`;
+      const day = days.get(key) || { deviceId: otaUpdate.deviceId, date, records: null };
+      const record = OtaReportService.toDashboardRecord({ ...otaUpdate, badge: classification.badge }, date);
+      const { records, changed } = OtaReportService.applyToDashboard(day.records, classification, record);
+      if (changed) {
+        day.records = records;
+        days.set(key, day);
+      }
+    }
+
+    return { days, replayed };
+  }
+
+  // Recompute DashboardStats for the devices and local days between start and end.
+  // With dryRun nothing is written and the result only describes the differences.
+  // A day that received a live report while the rebuild ran is skipped and reported as a conflict.
+  static async rebuild({ deviceId, projectId, start, end, dryRun = true, log = () => {} }) {
+    const deviceIds = await this.resolveDeviceIds({ deviceId, projectId, start, end });
+    const result = {
+      dryRun,
+      start: formatLocalDateKey(start),
+      end: formatLocalDateKey(end),
+      devices: deviceIds.length,
+      reportsReplayed: 0,
+      summary: { created: 0, updated: 0, removed: 0, unchanged: 0, conflicts: 0 },
+      changes: []
+    };
+    if (deviceIds.length === 0) return result;
+
+    const existing = await DashboardStats.find({
+      deviceId: { $in: deviceIds },
+      'stats.date': { $gte: start, $lte: end }
+    }).lean();
+    const current = new Map();
+    existing.forEach(doc => {
+      const date = OtaReportService.startOfLocalDay(doc.stats.date);
+      const key = `${doc.deviceId}|${formatLocalDateKey(date)}`;
+      if (!current.has(key)) current.set(key, []);
+      current.get(key).push(doc);
+    });
+
+    const { days, replayed } = await this.replay(deviceIds, start, end);
+    result.reportsReplayed = replayed;
+
+    const keys = [...new Set([...current.keys(), ...days.keys()])].sort();
+    for (const key of keys) {
+      const docs = current.get(key) || [];
+      const rebuilt = days.get(key);
+      const [primary, ...duplicates] = docs;
+
+      let action;
+      if (!rebuilt) action = 'removed';
+      else if (!primary) action = 'created';
+      else if (duplicates.length > 0 || recordsSignature(primary.stats.records) !== recordsSignature(rebuilt.records)) action = 'updated';
+      else action = 'unchanged';
+
+      if (action === 'unchanged') {
+        result.summary.unchanged++;
+        continue;
+      }
+
+      const [changeDeviceId, date] = key.split('|');
+      const change = {
+        deviceId: changeDeviceId,
+        date,
+        action,
+        current: countRecords(primary && primary.stats.records),
+        rebuilt: countRecords(rebuilt && rebuilt.records)
+      };
+      if (duplicates.length > 0) change.duplicateDocuments = duplicates.length;
+
+      if (!dryRun) {
+        const applied = await this.applyChange(action, docs, rebuilt);
+        if (!applied) {
+          change.action = 'conflict';
+          result.summary.conflicts++;
+          result.changes.push(change);
+          log(`⚠️  ${key} changed during the rebuild; skipped`);
+          continue;
+        }
+      }
+
+      result.summary[action]++;
+      result.changes.push(change);
+      log(`${key} ${action}${dryRun ? ' (dry run)' : ''}: ${JSON.stringify(change.current)} -> ${JSON.stringify(change.rebuilt)}`);
+    }
+
+    return result;
+  }
+
+  // Write one day's rebuilt records. Every write is conditional on the version read before the replay,
+  // so a report recorded meanwhile is never overwritten. Returns false on such a conflict.
+  static async applyChange(action, docs, rebuilt) {
+    const [primary, ...duplicates] = docs;
+
+    if (action === 'created') {
+      const dayEnd = new Date(rebuilt.date);
+      dayEnd.setDate(dayEnd.getDate() + 1);
+      const upsert = await DashboardStats.updateOne(
+        { deviceId: rebuilt.deviceId, 'stats.date': { $gte: rebuilt.date, $lt: dayEnd } },
+        { $setOnInsert: { 'stats.date': rebuilt.date, 'stats.records': rebuilt.records } },
+        { upsert: true }
+      );
+      return upsert.upsertedCount === 1;
+    }
+
+    if (action === 'updated') {
+      const update = await DashboardStats.updateOne(
+        { _id: primary._id, __v: primary.__v ?? null },
+        { $set: { 'stats.date': rebuilt.date, 'stats.records': rebuilt.records }, $inc: { __v: 1 } }
+      );
+      if (update.modifiedCount !== 1) return false;
+    }
+
+    // Removed days and duplicate documents for the same day
+    const stale = action === 'removed' ? docs : duplicates;
+    let removedAll = true;
+    for (const doc of stale) {
+      const removal = await DashboardStats.deleteOne({ _id: doc._id, __v: doc.__v ?? null });
+      if (removal.deletedCount !== 1) removedAll = false;
+    }
+    return removedAll;
+  }
+}
+
+module.exports = DashboardReplayService;
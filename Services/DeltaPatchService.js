@@ -0,0 +1,313 @@
+const crypto = require('crypto');
+const path = require('path');
+const zlib = require('zlib');
+const { Readable } = require('stream');
+const { Worker } = require('worker_threads');
+const FirmwareModel = require('../Models/FirmwareTableModel');
+const FirmwarePatch = require('../Models/FirmwarePatchModel');
+const FirmwareStorage = require('./FirmwareStorage');
+const { compareVersions } = require('./VersionUtils');
+require('dotenv').config();
+
+// Patch file layout (little endian):
+//   0   "EDP1" magic
+//   4   u32 source image size
+//   8   u32 target image size
+//   12  source image SHA-256 (32 bytes)
+//   44  target image SHA-256 (32 bytes)
+//   76  zlib-deflated op stream
+// Ops, bsdiff style:
+//   0x01 ADD    u32 sourceOffset, u32 length, then `length` bytes of (target - source) mod 256
+//   0x02 INSERT u32 length, then `length` literal bytes
+// Exact copies become runs of zero bytes in ADD, which deflate to almost nothing; small
+// differences such as relocated addresses stay cheap as well.
+const PATCH_MAGIC = Buffer.from('EDP1');
+const PATCH_FORMAT = 'espdelta-v1';
+const HEADER_SIZE = 76;
+const OP_ADD = 0x01;
+const OP_INSERT = 0x02;
+
+const BLOCK_SIZE = 32;
+const HASH_BASE = 257;
+const MAX_APPROXIMATE_EXTENSION = 4096;
+
+// Patches bigger than this fraction of the full image aren't worth the extra work on the device
+const MAX_PATCH_RATIO = parseFloat(process.env.FIRMWARE_DELTA_MAX_RATIO || '0.7');
+const DELTA_ENABLED = process.env.FIRMWARE_DELTA_ENABLED !== 'false';
+
+let BASE_POWER = 1;
+for (let i = 0; i < BLOCK_SIZE - 1; i++) BASE_POWER = Math.imul(BASE_POWER, HASH_BASE) >>> 0;
+
+const hashWindow = (buffer, start) => {
+  let hash = 0;
+  for (let i = start; i < start + BLOCK_SIZE; i++) {
+    hash = (Math.imul(hash, HASH_BASE) + buffer[i]) >>> 0;
+  }
+  return hash;
+};
+
+const rollHash = (hash, outgoing, incoming) =>
+  (Math.imul((hash - Math.imul(outgoing, BASE_POWER)) >>> 0, HASH_BASE) + incoming) >>> 0;
+
+const sha256Of = (buffer) => crypto.createHash('sha256').update(buffer).digest('hex');
+
+// Extend a match past its exact end while at least half the bytes still agree (bsdiff's heuristic)
+const approximateExtension = (source, target, sourcePos, targetPos) => {
+  let matches = 0;
+  let best = 0;
+  let bestScore = 0;
+  for (let i = 0; i < MAX_APPROXIMATE_EXTENSION && sourcePos + i < source.length && targetPos + i < target.length; i++) {
+    if (source[sourcePos + i] === target[targetPos + i]) matches++;
+    const score = matches * 2 - (i + 1);
+    if (score > bestScore) {
+      bestScore = score;
+      best = i + 1;
+    }
+  }
+  return best;
+};
+
+const encodeAdd = (source, target, sourceOffset, targetOffset, length) => {
+  const op = Buffer.alloc(9 + length);
+  op[0] = OP_ADD;
+  op.writeUInt32LE(sourceOffset, 1);
+  op.writeUInt32LE(length, 5);
+  for (let i = 0; i < length; i++) {
+    op[9 + i] = (target[targetOffset + i] - source[sourceOffset + i]) & 0xFF;
+  }
+  return op;
+};
+
+const encodeInsert = (bytes) => {
+  const op = Buffer.alloc(5);
+  op[0] = OP_INSERT;
+  op.writeUInt32LE(bytes.length, 1);
+  return [op, bytes];
+};
+
+// Generations in flight, so concurrent check-ins for the same pair share one diff
+const pendingPatches = new Map();
+// Generations run one at a time; each holds both images in memory
+let buildQueue = Promise.resolve();
+
+class DeltaPatchService {
+  // Build a patch that turns `source` into `target`
+  static diff(source, target) {
+    // Index the source at block boundaries; the target is scanned at every offset with a rolling hash
+    const index = new Map();
+    for (let offset = 0; offset + BLOCK_SIZE <= source.length; offset += BLOCK_SIZE) {
+      const hash = hashWindow(source, offset);
+      if (!index.has(hash)) index.set(hash, offset);
+    }
+
+    const ops = [];
+    let literalStart = 0;
+    let pos = 0;
+    let hash = target.length >= BLOCK_SIZE ? hashWindow(target, 0) : 0;
+
+    while (pos + BLOCK_SIZE <= target.length) {
+      const candidate = index.get(hash);
+      if (candidate !== undefined && target.compare(source, candidate, candidate + BLOCK_SIZE, pos, pos + BLOCK_SIZE) === 0) {
+        let sourceStart = candidate;
+        let targetStart = pos;
+        while (targetStart > literalStart && sourceStart > 0 && source[sourceStart - 1] === target[targetStart - 1]) {
+          sourceStart--;
+          targetStart--;
+        }
+
+        let length = pos - targetStart + BLOCK_SIZE;
+        while (
+          targetStart + length < target.length &&
+          sourceStart + length < source.length &&
+          source[sourceStart + length] === target[targetStart + length]
+        ) {
+          length++;
+        }
+        length += approximateExtension(source, target, sourceStart + length, targetStart + length);
+
+        if (targetStart > literalStart) {
+          ops.push(...encodeInsert(target.subarray(literalStart, targetStart)));
+        }
+        ops.push(encodeAdd(source, target, sourceStart, targetStart, length));
+
+        pos = targetStart + length;
+        literalStart = pos;
+        if (pos + BLOCK_SIZE <= target.length) hash = hashWindow(target, pos);
+        continue;
+      }
+
+      if (pos + BLOCK_SIZE < target.length) {
+        hash = rollHash(hash, target[pos], target[pos + BLOCK_SIZE]);
+      }
+      pos++;
+    }
+
+    if (literalStart < target.length) {
+      ops.push(...encodeInsert(target.subarray(literalStart)));
+    }
+
+    const header = Buffer.alloc(HEADER_SIZE);
+    PATCH_MAGIC.copy(header, 0);
+    header.writeUInt32LE(source.length, 4);
+    header.writeUInt32LE(target.length, 8);
+    Buffer.from(sha256Of(source), 'hex').copy(header, 12);
+    Buffer.from(sha256Of(target), 'hex').copy(header, 44);
+
+    return Buffer.concat([header, zlib.deflateSync(Buffer.concat(ops), { level: 9 })]);
+  }
+
+  // Reference implementation of what the device does. Throws when the patch doesn't apply cleanly.
+  static apply(source, patch) {
+    if (patch.length < HEADER_SIZE || !patch.subarray(0, 4).equals(PATCH_MAGIC)) {
+      throw new Error('Not an espdelta patch');
+    }
+    const sourceSize = patch.readUInt32LE(4);
+    const targetSize = patch.readUInt32LE(8);
+    const sourceSha256 = patch.subarray(12, 44).toString('hex');
+    const targetSha256 = patch.subarray(44, 76).toString('hex');
+
+    if (source.length !== sourceSize || sha256Of(source) !== sourceSha256) {
+      throw new Error('Patch was built for a different source image');
+    }
+
+    const ops = zlib.inflateSync(patch.subarray(HEADER_SIZE));
+    const target = Buffer.alloc(targetSize);
+    let written = 0;
+    let pos = 0;
+
+    while (pos < ops.length) {
+      const opcode = ops[pos];
+      if (opcode === OP_ADD) {
+        const sourceOffset = ops.readUInt32LE(pos + 1);
+        const length = ops.readUInt32LE(pos + 5);
+        if (sourceOffset + length > source.length || written + length > targetSize) {
+          throw new Error('ADD op out of bounds');
+        }
+        for (let i = 0; i < length; i++) {
+          target[written + i] = (source[sourceOffset + i] + ops[pos + 9 + i]) & 0xFF;
+        }
+        written += length;
+        pos += 9 + length;
+      } else if (opcode === OP_INSERT) {
+        const length = ops.readUInt32LE(pos + 1);
+        if (written + length > targetSize) {
+          throw new Error('INSERT op out of bounds');
+        }
+        ops.copy(target, written, pos + 5, pos + 5 + length);
+        written += length;
+        pos += 5 + length;
+      } else {
+        throw new Error(`Unknown patch opcode 0x${opcode.toString(16)}`);
+      }
+    }
+
+    if (written !== targetSize || sha256Of(target) !== targetSha256) {
+      throw new Error('Patched image does not match the target digest');
+    }
+    return target;
+  }
+
+  // Queue generation of the patch between two stored images. Resolves to the cached patch.
+  static schedulePatch(fromFirmware, toFirmware) {
+    const key = `${fromFirmware._id}:${toFirmware._id}`;
+    if (!pendingPatches.has(key)) {
+      const build = buildQueue.then(async () => {
+        const existing = await FirmwarePatch.findOne({ fromFirmware: fromFirmware._id, toFirmware: toFirmware._id });
+        return existing || this.createPatch(fromFirmware, toFirmware);
+      });
+      buildQueue = build.catch(() => {});
+      pendingPatches.set(key, build.finally(() => pendingPatches.delete(key)));
+    }
+    return pendingPatches.get(key);
+  }
+
+  // Diff and verify in a worker thread, so multi-MB images don't stall request handling
+  static diffInWorker(source, target) {
+    return new Promise((resolve, reject) => {
+      const worker = new Worker(path.join(__dirname, 'DeltaPatchWorker.js'), { workerData: { source, target } });
+      worker.once('message', (patch) => resolve(Buffer.from(patch.buffer, patch.byteOffset, patch.length)));
+      worker.once('error', reject);
+      worker.once('exit', (code) => {
+        if (code !== 0) reject(new Error(`Delta patch worker exited with code ${code}`));
+      });
+    });
+  }
+
+  static async createPatch(fromFirmware, toFirmware) {
+    const [source, target] = await Promise.all([
+      FirmwareStorage.readBuffer(fromFirmware),
+      FirmwareStorage.readBuffer(toFirmware)
+    ]);
+
+    const patchData = await this.diffInWorker(source, target);
+
+    const patch = new FirmwarePatch({
+      esp_id: toFirmware.esp_id,
+      fromFirmware: fromFirmware._id,
+      toFirmware: toFirmware._id,
+      fromVersion: fromFirmware.version,
+      toVersion: toFirmware.version,
+      fromSha256: sha256Of(source),
+      toSha256: sha256Of(target),
+      format: PATCH_FORMAT,
+      sha256: sha256Of(patchData),
+      targetSizeBytes: target.length
+    });
+    await FirmwareStorage.store(patch, Readable.from([patchData]), undefined, FirmwareStorage.buildPatchKey(patch));
+
+    try {
+      await patch.save();
+    } catch (error) {
+      await FirmwareStorage.remove(patch);
+      // Another instance cached the same pair first
+      if (error.code === 11000) {
+        return FirmwarePatch.findOne({ fromFirmware: fromFirmware._id, toFirmware: toFirmware._id });
+      }
+      throw error;
+    }
+    return patch;
+  }
+
+  // Patch from the image a device is running (its version and SHA-256) to the target, or null when the
+  // full image should be used. Patches are generated in the background on first request; until then
+  // the full image is served.
+  static async findDelta(target, { currentVersion, currentSha256 } = {}) {
+    if (!DELTA_ENABLED || !currentVersion || !currentSha256) return null;
+    // Same decision as the manifest: only upgrades are patched
+    if (compareVersions(target.version, currentVersion) !== 1) return null;
+
+    const source = await FirmwareModel.findOne({
+      esp_id: target.esp_id,
+      version: currentVersion,
+      sha256: String(currentSha256).trim().toLowerCase(),
+      _id: { $ne: target._id }
+    }).select('-fileData');
+    if (!source) return null;
+
+    const patch = await FirmwarePatch.findOne({ fromFirmware: source._id, toFirmware: target._id });
+    if (!patch) {
+      this.schedulePatch(source, target).catch(error => {
+        console.error(`Error generating delta patch ${source.version} -> ${target.version} for ${target.esp_id}:`, error);
+      });
+      return null;
+    }
+    if (patch.sizeBytes >= patch.targetSizeBytes * MAX_PATCH_RATIO) return null;
+    return patch;
+  }
+
+  // Drop cached patches that start or end at a firmware being deleted
+  static async removePatchesFor(firmware) {
+    const patches = await FirmwarePatch.find({
+      $or: [{ fromFirmware: firmware._id }, { toFirmware: firmware._id }]
+    });
+    for (const patch of patches) {
+      await FirmwareStorage.remove(patch);
+    }
+    await FirmwarePatch.deleteMany({ _id: { $in: patches.map(patch => patch._id) } });
+    return patches.length;
+  }
+}
+
+DeltaPatchService.PATCH_FORMAT = PATCH_FORMAT;
+
+module.exports = DeltaPatchService;
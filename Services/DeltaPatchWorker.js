@@ -0,0 +1,12 @@
+const { parentPort, workerData } = require('worker_threads');
+const DeltaPatchService = require('./DeltaPatchService');
+
+// Runs DeltaPatchService.diff off the main thread; see DeltaPatchService.diffInWorker
+const toBuffer = (bytes) => Buffer.from(bytes.buffer, bytes.byteOffset, bytes.length);
+
+const source = toBuffer(workerData.source);
+const patch = DeltaPatchService.diff(source, toBuffer(workerData.target));
+// Round-trip before caching: a bad patch would brick the device that applies it
+DeltaPatchService.apply(source, patch);
+
+parentPort.postMessage(patch);
@@ -0,0 +1,232 @@
+const crypto = require('crypto');
+const DeviceCredential = require('../Models/DeviceCredentialModel');
+const DeviceNonce = require('../Models/DeviceNonceModel');
+const EnvelopeEncryption = require('./FirmwareStorage/EnvelopeEncryption');
+require('dotenv').config();
+
+// Devices identify themselves in one of three ways:
+//  - Signed requests: X-Device-Key-Id, X-Device-Timestamp (unix seconds), X-Device-Nonce and
+//    X-Device-Signature = hex HMAC-SHA256(secret, canonical request), where the canonical request is
+//    "METHOD\nURL\nTIMESTAMP\nNONCE\nhex SHA-256 of the raw body" and URL is the path plus query string.
+//  - "Authorization: Device <keyId>:<secret>" for devices that can't compute an HMAC (TLS only).
+//  - A client certificate whose SHA-256 fingerprint is registered on a credential (mutual TLS).
+const MAX_SKEW_SECONDS = parseInt(process.env.DEVICE_AUTH_MAX_SKEW_SECONDS || '300', 10);
+// How long a rotated-out secret keeps working, so devices can fetch the new one
+const ROTATION_GRACE_HOURS = parseFloat(process.env.DEVICE_CREDENTIAL_GRACE_HOURS || '24');
+// Device endpoints (HTTP and MQTT) reject requests without credentials. DEVICE_AUTH_REQUIRED=false lets
+// anonymous requests through while a fleet is being provisioned; invalid credentials are always rejected.
+const AUTH_REQUIRED = process.env.DEVICE_AUTH_REQUIRED !== 'false';
+if (!AUTH_REQUIRED) {
+  console.warn('DEVICE_AUTH_REQUIRED=false: device endpoints accept requests without credentials');
+}
+// Header in which a TLS-terminating proxy forwards the client certificate fingerprint; only trusted when set
+const CERT_FINGERPRINT_HEADER = process.env.DEVICE_CERT_FINGERPRINT_HEADER;
+
+const sha256 = (data) => crypto.createHash('sha256').update(data).digest();
+
+// Constant-time comparison of two strings of any length
+const safeEqual = (a, b) => crypto.timingSafeEqual(sha256(String(a)), sha256(String(b)));
+
+const normalizeFingerprint = (value) => (value ? String(value).replace(/[^0-9a-f]/gi, '').toUpperCase() : null);
+
+// Credentials that still authenticate: active ones and rotated ones within their grace period
+const usable = (query) => ({
+  ...query,
+  $or: [{ status: 'active' }, { status: 'retired', expiresAt: { $gt: new Date() } }]
+});
+
+class DeviceCredentialService {
+  static canonicalRequest({ method, url, timestamp, nonce, body }) {
+    return [
+      String(method).toUpperCase(),
+      url,
+      timestamp,
+      nonce,
+      sha256(body || Buffer.alloc(0)).toString('hex')
+    ].join('\n');
+  }
+
+  // The signature a device sends for a request
+  static sign(secret, request) {
+    return crypto.createHmac('sha256', secret).update(this.canonicalRequest(request)).digest('hex');
+  }
+
+  static sealSecret(secret) {
+    if (!EnvelopeEncryption.isEnabled()) {
+      return { secret: Buffer.from(secret).toString('base64') };
+    }
+    const { kekId, wrappedKey, keyIv, keyTag } = EnvelopeEncryption.wrapKey(Buffer.from(secret));
+    return { secret: wrappedKey, kekId, keyIv, keyTag };
+  }
+
+  static openSecret(credential) {
+    if (!credential.kekId) {
+      return Buffer.from(credential.secret, 'base64').toString();
+    }
+    return EnvelopeEncryption.unwrapKey({
+      kekId: credential.kekId,
+      wrappedKey: credential.secret,
+      keyIv: credential.keyIv,
+      keyTag: credential.keyTag
+    }).toString();
+  }
+
+  // Create a credential. The secret is only ever returned here, so the caller must hand it to the device.
+  static async issueCredential(deviceId, { createdBy, certFingerprint } = {}) {
+    const secret = crypto.randomBytes(32).toString('hex');
+    const credential = await DeviceCredential.create({
+      deviceId,
+      keyId: `dk_${crypto.randomBytes(8).toString('hex')}`,
+      ...this.sealSecret(secret),
+      certFingerprint: normalizeFingerprint(certFingerprint) || undefined,
+      createdBy
+    });
+
+    return {
+      deviceId,
+      keyId: credential.keyId,
+      secret,
+      certFingerprint: credential.certFingerprint,
+      createdAt: credential.createdAt
+    };
+  }
+
+  // Issue a new credential; the previous ones keep working for the grace period
+  static async rotateCredentials(deviceId, options = {}) {
+    await DeviceCredential.updateMany(
+      { deviceId, status: 'active' },
+      { $set: { status: 'retired', expiresAt: new Date(Date.now() + ROTATION_GRACE_HOURS * 60 * 60 * 1000) } }
+    );
+    return this.issueCredential(deviceId, options);
+  }
+
+  static async revokeCredential(deviceId, keyId) {
+    const credential = await DeviceCredential.findOneAndUpdate(
+      { deviceId, keyId, status: { $ne: 'revoked' } },
+      { $set: { status: 'revoked', revokedAt: new Date() } },
+      { new: true }
+    );
+    if (!credential) {
+      return { revoked: false, error: 'Credential not found' };
+    }
+    return { revoked: true, credential };
+  }
+
+  static async listCredentials(deviceId) {
+    return DeviceCredential.find({ deviceId }).sort({ createdAt: -1 });
+  }
+
+  // Move a device's credentials to its new deviceId, so a renamed device keeps authenticating
+  static async reassignCredentials(fromDeviceId, toDeviceId) {
+    await DeviceCredential.updateMany({ deviceId: fromDeviceId }, { $set: { deviceId: toDeviceId } });
+  }
+
+  static async removeCredentials(deviceId) {
+    await DeviceCredential.deleteMany({ deviceId });
+  }
+
+  static getCertFingerprint(req) {
+    const socket = req.socket;
+    if (socket && socket.authorized && typeof socket.getPeerCertificate === 'function') {
+      const certificate = socket.getPeerCertificate();
+      if (certificate && certificate.fingerprint256) return normalizeFingerprint(certificate.fingerprint256);
+    }
+    if (CERT_FINGERPRINT_HEADER) {
+      return normalizeFingerprint(req.get(CERT_FINGERPRINT_HEADER));
+    }
+    return null;
+  }
+
+  // Identify the device behind a request.
+  // Returns { device } for valid credentials, { error } for invalid ones and {} when none were sent.
+  static async authenticate(req) {
+    const keyId = req.get('x-device-key-id');
+    if (keyId) {
+      return this.verifySignedRequest(req, keyId);
+    }
+
+    const authorization = req.get('authorization') || '';
+    if (authorization.startsWith('Device ')) {
+      return this.verifySecret(authorization.slice('Device '.length).trim());
+    }
+
+    const fingerprint = this.getCertFingerprint(req);
+    if (fingerprint) {
+      const credential = await DeviceCredential.findOne(usable({ certFingerprint: fingerprint }));
+      if (credential) return this.accept(credential, 'certificate');
+    }
+    return {};
+  }
+
+  static async verifySignedRequest(req, keyId) {
+    return this.verifySignature({
+      keyId,
+      timestamp: req.get('x-device-timestamp'),
+      nonce: req.get('x-device-nonce'),
+      signature: req.get('x-device-signature'),
+      method: req.method,
+      url: req.originalUrl,
+      body: req.rawBody
+    }, 'hmac');
+  }
+
+  // Check an HMAC signature over a canonical request. MQTT messages use the same scheme with
+  // method "MQTT" and the topic as the URL.
+  static async verifySignature({ keyId, timestamp, nonce, signature, method, url, body }, via = 'hmac') {
+    if (!timestamp || !nonce || !signature) {
+      return { error: 'Signed requests need X-Device-Timestamp, X-Device-Nonce and X-Device-Signature' };
+    }
+    timestamp = String(timestamp);
+    nonce = String(nonce);
+
+    const seconds = Number(timestamp);
+    if (!Number.isInteger(seconds) || Math.abs(Date.now() / 1000 - seconds) > MAX_SKEW_SECONDS) {
+      return { error: 'Request timestamp is outside the allowed window' };
+    }
+    if (nonce.length < 8 || nonce.length > 128) {
+      return { error: 'Nonce must be 8 to 128 characters' };
+    }
+
+    const credential = await DeviceCredential.findOne(usable({ keyId: String(keyId) })).select('+secret');
+    if (!credential) {
+      return { error: 'Unknown or revoked device credential' };
+    }
+
+    const expected = this.sign(this.openSecret(credential), { method, url, timestamp, nonce, body });
+    if (!safeEqual(expected, String(signature).toLowerCase())) {
+      return { error: 'Invalid request signature' };
+    }
+
+    // Only verified requests consume a nonce; it is remembered until its timestamp expires
+    try {
+      await DeviceNonce.create({ keyId: credential.keyId, nonce, expiresAt: new Date((seconds + MAX_SKEW_SECONDS) * 1000) });
+    } catch (error) {
+      if (error.code === 11000) return { error: 'Nonce has already been used' };
+      throw error;
+    }
+
+    return this.accept(credential, via);
+  }
+
+  static async verifySecret(value) {
+    const separator = value.indexOf(':');
+    if (separator <= 0) {
+      return { error: 'Expected "Authorization: Device <keyId>:<secret>"' };
+    }
+
+    const credential = await DeviceCredential.findOne(usable({ keyId: value.slice(0, separator) })).select('+secret');
+    if (!credential || !safeEqual(this.openSecret(credential), value.slice(separator + 1))) {
+      return { error: 'Invalid device credentials' };
+    }
+    return this.accept(credential, 'secret');
+  }
+
+  static async accept(credential, method) {
+    await DeviceCredential.updateOne({ _id: credential._id }, { $set: { lastUsedAt: new Date() } });
+    return { device: { deviceId: credential.deviceId, keyId: credential.keyId, method } };
+  }
+}
+
+DeviceCredentialService.AUTH_REQUIRED = AUTH_REQUIRED;
+
+module.exports = DeviceCredentialService;
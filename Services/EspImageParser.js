@@ -0,0 +1,131 @@
+const crypto = require('crypto');
+
+// ESP-IDF application image layout (see esp_app_format.h / esp_image_format.h)
+const IMAGE_MAGIC = 0xE9;
+const APP_DESC_MAGIC = 0xABCD5432;
+const IMAGE_HEADER_SIZE = 24;
+const SEGMENT_HEADER_SIZE = 8;
+const APP_DESC_SIZE = 256;
+const CHECKSUM_SEED = 0xEF;
+const MAX_SEGMENTS = 16;
+
+// esp_chip_id_t values
+const CHIP_IDS = {
+  0x0000: 'esp32',
+  0x0002: 'esp32s2',
+  0x0005: 'esp32c3',
+  0x0009: 'esp32s3',
+  0x000C: 'esp32c2',
+  0x000D: 'esp32c6',
+  0x0010: 'esp32h2',
+  0x0012: 'esp32p4'
+};
+
+// Read a NUL-terminated string from a fixed-size char array
+const readCString = (buffer, offset, length) => {
+  const field = buffer.subarray(offset, offset + length);
+  const end = field.indexOf(0);
+  return field.subarray(0, end === -1 ? field.length : end).toString('utf8');
+};
+
+// "v1.2.0" and "1.2.0" describe the same release
+const normalizeAppVersion = (version) => String(version || '').trim().replace(/^v/i, '');
+
+class EspImageParser {
+  // Parse an application image. Returns { isValid: true, info } or { isValid: false, error }.
+  static parse(buffer) {
+    if (!Buffer.isBuffer(buffer) || buffer.length < IMAGE_HEADER_SIZE + SEGMENT_HEADER_SIZE + APP_DESC_SIZE) {
+      return { isValid: false, error: 'File is too small to be an ESP application image' };
+    }
+    if (buffer[0] !== IMAGE_MAGIC) {
+      return { isValid: false, error: `Invalid image magic byte 0x${buffer[0].toString(16)} (expected 0xe9)` };
+    }
+
+    const segmentCount = buffer[1];
+    if (segmentCount === 0 || segmentCount > MAX_SEGMENTS) {
+      return { isValid: false, error: `Invalid segment count ${segmentCount}` };
+    }
+
+    const chipId = buffer.readUInt16LE(12);
+    const hashAppended = buffer[23] === 1;
+
+    // Walk the segments, folding every data byte into the image checksum
+    const segments = [];
+    let checksum = CHECKSUM_SEED;
+    let offset = IMAGE_HEADER_SIZE;
+    for (let i = 0; i < segmentCount; i++) {
+      if (offset + SEGMENT_HEADER_SIZE > buffer.length) {
+        return { isValid: false, error: `Image truncated in segment ${i} header` };
+      }
+      const loadAddress = buffer.readUInt32LE(offset);
+      const dataLength = buffer.readUInt32LE(offset + 4);
+      const dataStart = offset + SEGMENT_HEADER_SIZE;
+      if (dataStart + dataLength > buffer.length) {
+        return { isValid: false, error: `Image truncated in segment ${i} data` };
+      }
+      for (let j = dataStart; j < dataStart + dataLength; j++) {
+        checksum ^= buffer[j];
+      }
+      segments.push({ loadAddress, length: dataLength });
+      offset = dataStart + dataLength;
+    }
+
+    // The checksum byte sits in the last byte of the next 16-byte aligned block
+    const checksumOffset = offset + (15 - (offset % 16));
+    if (checksumOffset >= buffer.length) {
+      return { isValid: false, error: 'Image truncated before checksum' };
+    }
+    if (buffer[checksumOffset] !== checksum) {
+      return { isValid: false, error: 'Image checksum mismatch' };
+    }
+
+    let appendedSha256 = null;
+    if (hashAppended) {
+      const hashOffset = checksumOffset + 1;
+      if (hashOffset + 32 > buffer.length) {
+        return { isValid: false, error: 'Image truncated before appended SHA-256 digest' };
+      }
+      appendedSha256 = buffer.subarray(hashOffset, hashOffset + 32).toString('hex');
+      const computed = crypto.createHash('sha256').update(buffer.subarray(0, hashOffset)).digest('hex');
+      if (computed !== appendedSha256) {
+        return { isValid: false, error: 'Appended SHA-256 digest does not match image contents' };
+      }
+    }
+
+    // esp_app_desc_t lives at the start of the first segment's data
+    const descOffset = IMAGE_HEADER_SIZE + SEGMENT_HEADER_SIZE;
+    if (segments[0].length < APP_DESC_SIZE || buffer.readUInt32LE(descOffset) !== APP_DESC_MAGIC) {
+      return { isValid: false, error: 'Application description (esp_app_desc_t) not found' };
+    }
+
+    return {
+      isValid: true,
+      info: {
+        chipId,
+        chip: CHIP_IDS[chipId] || `unknown(0x${chipId.toString(16)})`,
+        minChipRevision: buffer.readUInt16LE(15),
+        maxChipRevision: buffer.readUInt16LE(17),
+        entryAddress: buffer.readUInt32LE(4),
+        segmentCount,
+        segments,
+        hashAppended,
+        appendedSha256,
+        secureVersion: buffer.readUInt32LE(descOffset + 4),
+        appVersion: readCString(buffer, descOffset + 16, 32),
+        projectName: readCString(buffer, descOffset + 48, 32),
+        buildTime: readCString(buffer, descOffset + 80, 16),
+        buildDate: readCString(buffer, descOffset + 96, 16),
+        idfVersion: readCString(buffer, descOffset + 112, 32),
+        elfSha256: buffer.subarray(descOffset + 144, descOffset + 176).toString('hex')
+      }
+    };
+  }
+
+  static versionMatches(appVersion, submittedVersion) {
+    return normalizeAppVersion(appVersion) === normalizeAppVersion(submittedVersion);
+  }
+}
+
+EspImageParser.CHIP_IDS = CHIP_IDS;
+
+module.exports = EspImageParser;
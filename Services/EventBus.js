@@ -0,0 +1,83 @@
+const crypto = require('crypto');
+const Device = require('../Models/DeviceModel');
+require('dotenv').config();
+
+// In-process fan-out of OTA events to dashboard streams (GET /events). Recent events are kept in a
+// ring buffer so a reconnecting client can resume from its Last-Event-ID. Event ids are
+// "<boot id>-<sequence>"; an id from before a restart, or older than the buffer, means events were
+// missed and the client is told to reload instead.
+const BUFFER_SIZE = parseInt(process.env.EVENT_BUFFER_SIZE || '500', 10);
+const BOOT_ID = crypto.randomBytes(4).toString('hex');
+
+const buffer = [];
+const listeners = new Set();
+let sequence = 0;
+
+const parseEventId = (id) => {
+  const match = /^([0-9a-f]+)-(\d+)$/.exec(String(id || ''));
+  if (!match || match[1] !== BOOT_ID) return null;
+  return parseInt(match[2], 10);
+};
+
+class EventBus {
+  // Publish an event to every subscriber. projectId scopes it to users with access to that project;
+  // events without a project are only delivered to admins.
+  static publish(type, data, { projectId = null } = {}) {
+    sequence++;
+    const event = {
+      id: `${BOOT_ID}-${sequence}`,
+      type,
+      projectId: projectId ? String(projectId) : null,
+      data,
+      createdAt: new Date()
+    };
+
+    buffer.push(event);
+    if (buffer.length > BUFFER_SIZE) buffer.shift();
+
+    listeners.forEach(listener => {
+      try {
+        listener(event);
+      } catch (error) {
+        console.error('Error delivering event:', error);
+      }
+    });
+    return event;
+  }
+
+  // Publish an event about a device, scoped to the device's project. Never throws: events are best-effort.
+  static async publishDeviceEvent(type, deviceId, data) {
+    try {
+      const device = await Device.findOne({ deviceId }).select('project').lean();
+      return this.publish(type, data, { projectId: device && device.project });
+    } catch (error) {
+      console.error(`Error publishing ${type} event:`, error);
+      return null;
+    }
+  }
+
+  // Returns a function that unsubscribes the listener
+  static subscribe(listener) {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+  }
+
+  // Buffered events after lastEventId, or null when some of them are no longer available
+  static since(lastEventId) {
+    const last = parseEventId(lastEventId);
+    if (last === null || last > sequence) return null;
+    const oldest = buffer.length > 0 ? parseEventId(buffer[0].id) : sequence + 1;
+    if (last < oldest - 1) return null;
+    return buffer.filter(event => parseEventId(event.id) > last);
+  }
+
+  // Whether a user (JWT payload) may see an event
+  static canView(user, event) {
+    if (!user) return false;
+    if (user.role === 'admin') return true;
+    if (!event.projectId) return false;
+    return (user.projects || []).some(project => String(project) === event.projectId);
+  }
+}
+
+module.exports = EventBus;
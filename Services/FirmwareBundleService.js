@@ -0,0 +1,156 @@
+const FirmwareBundle = require('../Models/FirmwareBundleModel');
+const FirmwareStorage = require('./FirmwareStorage');
+
+// Reserved flashOrder entry for the ESP image itself
+const ESP_COMPONENT = 'esp';
+const COMPONENT_NAME_PATTERN = /^[a-z0-9][a-z0-9_-]*$/i;
+
+class FirmwareBundleService {
+  // Check an Intel HEX file record by record (":LLAAAATT<data>CC")
+  static validateIntelHex(buffer) {
+    const lines = buffer.toString('ascii').split(/\r?\n/).filter(line => line.trim() !== '');
+    if (lines.length === 0) {
+      return { isValid: false, error: 'HEX file is empty' };
+    }
+
+    for (let i = 0; i < lines.length; i++) {
+      const line = lines[i].trim();
+      if (!/^:([0-9a-f]{2})+$/i.test(line) || line.length < 11) {
+        return { isValid: false, error: `Malformed HEX record on line ${i + 1}` };
+      }
+      const bytes = Buffer.from(line.slice(1), 'hex');
+      if (bytes.length !== bytes[0] + 5) {
+        return { isValid: false, error: `HEX record length mismatch on line ${i + 1}` };
+      }
+      const sum = bytes.reduce((total, byte) => (total + byte) & 0xFF, 0);
+      if (sum !== 0) {
+        return { isValid: false, error: `HEX checksum mismatch on line ${i + 1}` };
+      }
+      // Type 01 is the end-of-file record and must come last
+      if (bytes[3] === 0x01) {
+        return i === lines.length - 1
+          ? { isValid: true }
+          : { isValid: false, error: `Data after HEX end-of-file record on line ${i + 2}` };
+      }
+    }
+
+    return { isValid: false, error: 'HEX file has no end-of-file record' };
+  }
+
+  // Validate the bundle manifest against the uploaded component files.
+  // Returns { isValid: true, components, flashOrder } or { isValid: false, error }.
+  static parseManifest(rawManifest, files = []) {
+    let manifest;
+    try {
+      manifest = typeof rawManifest === 'string' ? JSON.parse(rawManifest) : rawManifest;
+    } catch (error) {
+      return { isValid: false, error: 'manifest must be valid JSON' };
+    }
+    if (!manifest || !Array.isArray(manifest.components) || manifest.components.length === 0) {
+      return { isValid: false, error: 'manifest.components must be a non-empty array' };
+    }
+
+    const filesByName = new Map(files.map(file => [file.originalname, file]));
+    const usedFiles = new Set();
+    const components = [];
+
+    for (const entry of manifest.components) {
+      const { name, file, version, targets, picModel } = entry || {};
+      if (!name || !COMPONENT_NAME_PATTERN.test(name) || name === ESP_COMPONENT) {
+        return { isValid: false, error: `Invalid component name "${name}"` };
+      }
+      if (components.some(component => component.name === name)) {
+        return { isValid: false, error: `Duplicate component name "${name}"` };
+      }
+      if (!version) {
+        return { isValid: false, error: `Component "${name}" is missing a version` };
+      }
+      if (targets !== undefined && !Array.isArray(targets)) {
+        return { isValid: false, error: `Component "${name}" targets must be an array of pic_ids` };
+      }
+      const upload = filesByName.get(file);
+      if (!upload) {
+        return { isValid: false, error: `No uploaded file named "${file}" for component "${name}"` };
+      }
+      if (usedFiles.has(file)) {
+        return { isValid: false, error: `File "${file}" is used by more than one component` };
+      }
+      usedFiles.add(file);
+
+      components.push({
+        name,
+        version: String(version),
+        format: upload.originalname.toLowerCase().endsWith('.hex') ? 'hex' : 'bin',
+        targetIds: (targets || []).map(String),
+        picModel,
+        upload
+      });
+    }
+
+    if (usedFiles.size !== files.length) {
+      const unused = files.filter(file => !usedFiles.has(file.originalname)).map(file => file.originalname);
+      return { isValid: false, error: `Uploaded files not referenced by the manifest: ${unused.join(', ')}` };
+    }
+
+    // Default order: PIC components as listed, then the ESP image
+    const flashOrder = manifest.flashOrder || [...components.map(component => component.name), ESP_COMPONENT];
+    const expected = new Set([...components.map(component => component.name), ESP_COMPONENT]);
+    if (
+      !Array.isArray(flashOrder) ||
+      flashOrder.length !== expected.size ||
+      new Set(flashOrder).size !== flashOrder.length ||
+      !flashOrder.every(name => expected.has(name))
+    ) {
+      return {
+        isValid: false,
+        error: `flashOrder must list every component and "${ESP_COMPONENT}" exactly once`
+      };
+    }
+
+    return { isValid: true, components, flashOrder };
+  }
+
+  // Components the reporting PICs need. Components without targets go to every attached PIC.
+  static componentsForPics(bundle, picIds = [], baseUrl = '') {
+    return bundle.components
+      .map(component => {
+        const targets = component.targetIds.length > 0
+          ? component.targetIds.filter(id => picIds.length === 0 || picIds.includes(id))
+          : picIds;
+        return { component, targets };
+      })
+      .filter(({ component, targets }) => component.targetIds.length === 0 || targets.length > 0)
+      .map(({ component, targets }) => ({
+        name: component.name,
+        version: component.version,
+        format: component.format,
+        picModel: component.picModel || null,
+        targets,
+        order: bundle.flashOrder.indexOf(component.name),
+        downloadUrl: `${baseUrl}/firmware-bundles/${bundle._id}/components/${encodeURIComponent(component.name)}`,
+        size: component.sizeBytes,
+        sha256: component.sha256,
+        md5: component.md5,
+        signature: component.signature || null,
+        signatureKeyId: component.signatureKeyId || null,
+        signatureAlgorithm: component.signatureAlgorithm || null
+      }));
+  }
+
+  static async removeBundle(bundle) {
+    for (const component of bundle.components) {
+      await FirmwareStorage.remove(component);
+    }
+    await FirmwareBundle.deleteOne({ _id: bundle._id });
+  }
+
+  // Drop the bundle attached to a firmware being deleted
+  static async removeBundlesFor(firmware) {
+    const bundle = await FirmwareBundle.findOne({ firmware: firmware._id });
+    if (bundle) await this.removeBundle(bundle);
+  }
+}
+
+FirmwareBundleService.ESP_COMPONENT = ESP_COMPONENT;
+
+module.exports = FirmwareBundleService;
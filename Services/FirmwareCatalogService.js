@@ -0,0 +1,123 @@
+const FirmwareModel = require('../Models/FirmwareTableModel');
+const FirmwareVersion = require('../Models/FirmwareVersionModel');
+const { supportsTransactions, runInTransaction } = require('./MongoTransactions');
+
+// FirmwareVersion holds one record per (device, version) and is the uniqueness guard for uploads;
+// firmware-details holds the images. This service is the only writer of both, so they stay in step.
+class FirmwareCatalogService {
+  static async versionExists(esp_id, version) {
+    const [registered, stored] = await Promise.all([
+      FirmwareVersion.exists({ deviceId: esp_id, version }),
+      FirmwareModel.exists({ esp_id, version })
+    ]);
+    return Boolean(registered || stored);
+  }
+
+  // Register the version and save the firmware document atomically.
+  // Returns { isValid: false, error } when the version is already taken for the device.
+  static async registerFirmware(firmware) {
+    const record = {
+      deviceId: firmware.esp_id,
+      version: firmware.version,
+      firmware: firmware._id,
+      uploadedDate: firmware.uploadedDate
+    };
+
+    try {
+      if (await supportsTransactions()) {
+        await runInTransaction(async (session) => {
+          await FirmwareVersion.create([record], { session });
+          await firmware.save({ session });
+        });
+      } else {
+        // The unique version record still rejects concurrent duplicates; undo it if the save fails
+        const created = await FirmwareVersion.create(record);
+        try {
+          await firmware.save();
+        } catch (saveError) {
+          await FirmwareVersion.deleteOne({ _id: created._id });
+          throw saveError;
+        }
+      }
+    } catch (error) {
+      if (error.code === 11000) {
+        return { isValid: false, error: `Version ${firmware.version} already exists for this device.` };
+      }
+      throw error;
+    }
+
+    return { isValid: true };
+  }
+
+  // Delete a firmware document and release its version once no other document uses it
+  static async unregisterFirmware(firmware) {
+    const work = async (session) => {
+      await FirmwareModel.deleteOne({ _id: firmware._id }, { session });
+      const remaining = await FirmwareModel.exists({ esp_id: firmware.esp_id, version: firmware.version }).session(session);
+      if (!remaining) {
+        await FirmwareVersion.deleteOne({ deviceId: firmware.esp_id, version: firmware.version }, { session });
+      }
+    };
+
+    if (await supportsTransactions()) {
+      await runInTransaction(work);
+    } else {
+      await work(null);
+    }
+  }
+
+  // Bring FirmwareVersion in line with the stored images: register versions that were
+  // uploaded before the catalog existed and drop records whose images are gone.
+  // With removeOrphans: false orphans are only reported; the server runs it that way at startup,
+  // when an upload that registered its version may not have saved its image yet.
+  static async backfill({ dryRun = false, removeOrphans = true, log = () => {} } = {}) {
+    const report = { registered: 0, orphansRemoved: 0, missing: [], orphans: [] };
+
+    const stored = await FirmwareModel.aggregate([
+      { $sort: { uploadedDate: 1 } },
+      {
+        $group: {
+          _id: { esp_id: '$esp_id', version: '$version' },
+          firmware: { $first: '$_id' },
+          uploadedDate: { $first: '$uploadedDate' }
+        }
+      }
+    ]);
+    const registered = await FirmwareVersion.find({}).select('deviceId version').lean();
+    const registeredKeys = new Set(registered.map(record => `${record.deviceId}\u0000${record.version}`));
+    const storedKeys = new Set(stored.map(({ _id }) => `${_id.esp_id}\u0000${_id.version}`));
+
+    for (const { _id, firmware, uploadedDate } of stored) {
+      if (registeredKeys.has(`${_id.esp_id}\u0000${_id.version}`)) continue;
+      report.missing.push({ deviceId: _id.esp_id, version: _id.version });
+      if (dryRun) continue;
+
+      // upsert keeps concurrent backfills and uploads from colliding on the unique index
+      await FirmwareVersion.updateOne(
+        { deviceId: _id.esp_id, version: _id.version },
+        { $setOnInsert: { firmware, uploadedDate } },
+        { upsert: true }
+      );
+      report.registered++;
+      log(`Registered ${_id.esp_id} v${_id.version}`);
+    }
+
+    for (const record of registered) {
+      if (storedKeys.has(`${record.deviceId}\u0000${record.version}`)) continue;
+      report.orphans.push({ deviceId: record.deviceId, version: record.version });
+      if (dryRun || !removeOrphans) continue;
+
+      // Re-check so an upload that finished after the scan isn't unregistered
+      const stillOrphaned = !(await FirmwareModel.exists({ esp_id: record.deviceId, version: record.version }));
+      if (stillOrphaned) {
+        await FirmwareVersion.deleteOne({ _id: record._id });
+        report.orphansRemoved++;
+        log(`Removed orphaned version record ${record.deviceId} v${record.version}`);
+      }
+    }
+
+    return report;
+  }
+}
+
+module.exports = FirmwareCatalogService;
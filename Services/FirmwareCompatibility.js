@@ -0,0 +1,101 @@
+const { compareVersions } = require('./VersionUtils');
+
+// Helper: accept "a,b", ["a","b"] or a single value
+const toList = (value) => {
+  if (value === undefined || value === null || value === '') return [];
+  const values = Array.isArray(value) ? value : String(value).split(',');
+  return [...new Set(values.map(v => String(v).trim()).filter(v => v !== ''))];
+};
+
+const toOptionalString = (value) => {
+  if (value === undefined || value === null) return undefined;
+  const trimmed = String(value).trim();
+  return trimmed === '' ? undefined : trimmed;
+};
+
+class FirmwareCompatibility {
+  // Normalise a compatibility declaration from an upload or edit request.
+  // Accepts an object or its JSON string. Returns { isValid, compatibility } or { isValid: false, error }.
+  static parse(raw, version) {
+    if (raw === undefined || raw === null || raw === '') {
+      return { isValid: true, compatibility: {} };
+    }
+
+    let declaration = raw;
+    if (typeof raw === 'string') {
+      try {
+        declaration = JSON.parse(raw);
+      } catch (error) {
+        return { isValid: false, error: 'compatibility must be valid JSON' };
+      }
+    }
+    if (typeof declaration !== 'object' || Array.isArray(declaration)) {
+      return { isValid: false, error: 'compatibility must be an object' };
+    }
+
+    const compatibility = {
+      hardwareRevisions: toList(declaration.hardwareRevisions),
+      picModels: toList(declaration.picModels),
+      minBootloaderVersion: toOptionalString(declaration.minBootloaderVersion),
+      minUpgradeFromVersion: toOptionalString(declaration.minUpgradeFromVersion)
+    };
+
+    if (version && compatibility.minUpgradeFromVersion &&
+        compareVersions(compatibility.minUpgradeFromVersion, version) !== -1) {
+      return { isValid: false, error: 'minUpgradeFromVersion must be lower than the firmware version' };
+    }
+
+    return { isValid: true, compatibility };
+  }
+
+  // Hardware the device is known to have. What it reports at check-in wins over the stored record.
+  static describeDevice(device, context = {}) {
+    const hardware = (device && device.hardware) || {};
+    return {
+      revision: context.hardwareRevision || hardware.revision,
+      picModel: context.picModel || hardware.picModel,
+      bootloaderVersion: context.bootloaderVersion || hardware.bootloaderVersion,
+      currentVersion: context.currentVersion
+    };
+  }
+
+  // Check a firmware's declaration against a device. Hardware constraints fail closed: a device
+  // whose revision, PIC model or bootloader is unknown does not get firmware that restricts them.
+  // The upgrade path is only enforced when the running version is known.
+  static check(firmware, device, context = {}) {
+    const compatibility = (firmware && firmware.compatibility) || {};
+    const attributes = this.describeDevice(device, context);
+    const reasons = [];
+
+    const revisions = compatibility.hardwareRevisions || [];
+    if (revisions.length > 0 && !revisions.includes(attributes.revision)) {
+      reasons.push(attributes.revision
+        ? `hardware revision ${attributes.revision} is not supported (supports ${revisions.join(', ')})`
+        : `hardware revision is unknown (supports ${revisions.join(', ')})`);
+    }
+
+    const picModels = compatibility.picModels || [];
+    if (picModels.length > 0 && !picModels.includes(attributes.picModel)) {
+      reasons.push(attributes.picModel
+        ? `PIC model ${attributes.picModel} is not supported (supports ${picModels.join(', ')})`
+        : `PIC model is unknown (supports ${picModels.join(', ')})`);
+    }
+
+    if (compatibility.minBootloaderVersion) {
+      if (!attributes.bootloaderVersion) {
+        reasons.push(`bootloader version is unknown (requires ${compatibility.minBootloaderVersion} or newer)`);
+      } else if (compareVersions(attributes.bootloaderVersion, compatibility.minBootloaderVersion) === -1) {
+        reasons.push(`bootloader ${attributes.bootloaderVersion} is older than ${compatibility.minBootloaderVersion}`);
+      }
+    }
+
+    if (compatibility.minUpgradeFromVersion && attributes.currentVersion &&
+        compareVersions(attributes.currentVersion, compatibility.minUpgradeFromVersion) === -1) {
+      reasons.push(`upgrading from ${attributes.currentVersion} requires ${compatibility.minUpgradeFromVersion} or newer first`);
+    }
+
+    return { compatible: reasons.length === 0, reasons };
+  }
+}
+
+module.exports = FirmwareCompatibility;
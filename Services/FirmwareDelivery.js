@@ -0,0 +1,97 @@
+const { pipeline } = require('stream/promises');
+
+// Strip the weak validator prefix so W/"abc" and "abc" compare equal (weak comparison)
+const normalizeEtag = (tag) => tag.trim().replace(/^W\//, '');
+
+const etagMatches = (headerValue, etag) => {
+  if (!headerValue || !etag) return false;
+  if (headerValue.trim() === '*') return true;
+  return headerValue.split(',').some(tag => normalizeEtag(tag) === normalizeEtag(etag));
+};
+
+class FirmwareDelivery {
+  // Parse a single "bytes=" range. Returns null when the header should be ignored
+  // (absent, malformed or multi-range) and { unsatisfiable: true } when it can't be served.
+  static parseRange(header, size) {
+    if (!header) return null;
+    const match = /^bytes=(\d*)-(\d*)$/.exec(header.trim());
+    if (!match) return null;
+
+    const [, startStr, endStr] = match;
+    if (startStr === '' && endStr === '') return null;
+
+    let start;
+    let end;
+    if (startStr === '') {
+      // Suffix range: the last N bytes
+      const suffixLength = parseInt(endStr, 10);
+      if (suffixLength === 0) return { unsatisfiable: true };
+      start = Math.max(size - suffixLength, 0);
+      end = size - 1;
+    } else {
+      start = parseInt(startStr, 10);
+      end = endStr === '' ? size - 1 : Math.min(parseInt(endStr, 10), size - 1);
+    }
+
+    if (start >= size || start > end) return { unsatisfiable: true };
+    return { start, end };
+  }
+
+  // If-Range only honours the Range header when the client's copy is still current.
+  // Only strong ETags or an exact Last-Modified date qualify.
+  static ifRangeSatisfied(headerValue, etag, lastModified) {
+    if (!headerValue) return true;
+    const value = headerValue.trim();
+    if (value.startsWith('"') || value.startsWith('W/')) {
+      return !value.startsWith('W/') && etag && value === etag;
+    }
+    const date = Date.parse(value);
+    if (isNaN(date) || !lastModified) return false;
+    return Math.floor(new Date(lastModified).getTime() / 1000) <= Math.floor(date / 1000);
+  }
+
+  // Send a stored binary with conditional (If-None-Match) and partial (Range/If-Range) support.
+  // openStream receives an inclusive { start, end } range, or {} for the whole file.
+  static async send(req, res, { size, etag, lastModified, contentType, filename, headers = {}, openStream }) {
+    res.set('Accept-Ranges', 'bytes');
+    res.set('Content-Type', contentType || 'application/octet-stream');
+    if (filename) res.set('Content-Disposition', `attachment; filename="${filename}"`);
+    if (etag) res.set('ETag', etag);
+    if (lastModified) res.set('Last-Modified', new Date(lastModified).toUTCString());
+    Object.entries(headers).forEach(([name, value]) => {
+      if (value !== undefined && value !== null) res.set(name, String(value));
+    });
+
+    if (etagMatches(req.headers['if-none-match'], etag)) {
+      return res.status(304).end();
+    }
+
+    let range = null;
+    if (this.ifRangeSatisfied(req.headers['if-range'], etag, lastModified)) {
+      range = this.parseRange(req.headers.range, size);
+    }
+
+    if (range && range.unsatisfiable) {
+      res.set('Content-Range', `bytes */${size}`);
+      return res.status(416).end();
+    }
+
+    if (range) {
+      res.status(206);
+      res.set('Content-Range', `bytes ${range.start}-${range.end}/${size}`);
+      res.set('Content-Length', String(range.end - range.start + 1));
+    } else {
+      res.status(200);
+      res.set('Content-Length', String(size));
+    }
+
+    if (req.method === 'HEAD') {
+      return res.end();
+    }
+
+    const stream = await openStream(range || {});
+    await pipeline(stream, res);
+  }
+}
+
+module.exports = FirmwareDelivery;
@@ -0,0 +1,97 @@
+const crypto = require('crypto');
+const FirmwareModel = require('../Models/FirmwareTableModel');
+const FirmwareSigningService = require('./FirmwareSigningService');
+const FirmwareStorage = require('./FirmwareStorage');
+
+class FirmwareIntegrityService {
+  // SHA-256 for integrity checks, MD5 for legacy ESP-IDF OTA clients
+  static async computeDigests(readable) {
+    const sha256 = crypto.createHash('sha256');
+    const md5 = crypto.createHash('md5');
+    for await (const chunk of readable) {
+      sha256.update(chunk);
+      md5.update(chunk);
+    }
+    return { sha256: sha256.digest('hex'), md5: md5.digest('hex') };
+  }
+
+  // Find an image with identical content already stored for the device under another version
+  static async findDuplicateImage(esp_id, version, sha256) {
+    return FirmwareModel.findOne(
+      { esp_id, sha256, version: { $ne: version } },
+      'version uploadedDate fileName'
+    );
+  }
+
+  // Re-hash every stored image and compare against the persisted digests.
+  // Images uploaded before digests existed are reported as 'missing' and filled in when backfill is set.
+  static async verifyStoredImages({ backfill = false } = {}) {
+    const report = {
+      checked: 0,
+      ok: 0,
+      corrupted: [],
+      unreadable: [],
+      missingDigest: [],
+      invalidSignature: [],
+      backfilled: 0
+    };
+
+    const cursor = FirmwareModel.find({}).select('-fileData').cursor();
+    for await (const firmware of cursor) {
+      report.checked++;
+      const summary = {
+        id: firmware._id,
+        esp_id: firmware.esp_id,
+        version: firmware.version,
+        fileName: firmware.fileName
+      };
+
+      let digests;
+      try {
+        digests = await this.computeDigests(await FirmwareStorage.openReadStream(firmware));
+      } catch (error) {
+        report.unreadable.push({ ...summary, error: error.message });
+        continue;
+      }
+
+      if (!firmware.sha256) {
+        report.missingDigest.push(summary);
+        if (backfill) {
+          await FirmwareModel.updateOne(
+            { _id: firmware._id },
+            { $set: { sha256: digests.sha256, md5: digests.md5 } }
+          );
+          report.backfilled++;
+        }
+        continue;
+      }
+
+      if (firmware.sha256 !== digests.sha256 || (firmware.md5 && firmware.md5 !== digests.md5)) {
+        report.corrupted.push({
+          ...summary,
+          expectedSha256: firmware.sha256,
+          actualSha256: digests.sha256
+        });
+        continue;
+      }
+
+      if (firmware.signature) {
+        const signatureValid = await FirmwareSigningService.verifyDigest(
+          digests.sha256,
+          firmware.signature,
+          firmware.signatureKeyId
+        );
+        if (!signatureValid) {
+          report.invalidSignature.push({ ...summary, keyId: firmware.signatureKeyId });
+          continue;
+        }
+      }
+
+      report.ok++;
+    }
+
+    return report;
+  }
+}
+
+module.exports = FirmwareIntegrityService;
@@ -0,0 +1,80 @@
+const FirmwareModel = require('../Models/FirmwareTableModel');
+const OTAUpdate = require('../Models/OTAUpdateModel');
+const RolloutService = require('./RolloutService');
+const { compareVersions } = require('./VersionUtils');
+const { acceptsChannel } = require('./ReleaseChannels');
+const FirmwareCompatibility = require('./FirmwareCompatibility');
+
+// Highest version first; re-uploads of the same version fall back to upload time
+const byVersionDesc = (a, b) => compareVersions(b.version, a.version) || (b.uploadedDate - a.uploadedDate);
+
+class FirmwareResolver {
+  // Metadata of every released image for a device, highest version first
+  static async findCandidates(esp_id) {
+    const candidates = await FirmwareModel.find(FirmwareModel.releasedOnly({ esp_id })).select('-fileData');
+    return candidates.sort(byVersionDesc);
+  }
+
+  // Pick the image a device should be running. context carries what the device reported
+  // about itself (currentVersion, picIds, hardwareRevision, picModel, bootloaderVersion).
+  static async resolveTarget(device, context = {}) {
+    const compatibilityContext = {
+      ...context,
+      currentVersion: context.currentVersion || await this.getReportedVersion(device.deviceId)
+    };
+    const isCompatible = (firmware) => FirmwareCompatibility.check(firmware, device, compatibilityContext).compatible;
+
+    // A pinned device gets exactly its pinned version, even when that is a downgrade
+    if (this.isPinned(device)) {
+      const pinned = await FirmwareModel.findOne(FirmwareModel.releasedOnly({ esp_id: device.deviceId, version: device.pin.version }))
+        .select('-fileData')
+        .sort({ uploadedDate: -1 });
+      return pinned && isCompatible(pinned) ? pinned : null;
+    }
+
+    // Incompatible releases are skipped, so a device below minUpgradeFromVersion gets the stepping stone
+    const candidates = (await this.findCandidates(device.deviceId))
+      .filter(candidate => acceptsChannel(device.channel, candidate.channel))
+      .filter(isCompatible);
+    const gates = await RolloutService.getRolloutGates(candidates.map(c => c.version));
+    return candidates.find(candidate => RolloutService.isFirmwareAvailable(candidate, device, gates)) || null;
+  }
+
+  static isPinned(device) {
+    return Boolean(device.pin && device.pin.version);
+  }
+
+  // Version the device last reported running: a failed update leaves it on previousVersion
+  static async getReportedVersion(deviceId) {
+    const latestReport = await OTAUpdate.findOne({ deviceId }).sort({ timestamp: -1, createdAt: -1 });
+    if (!latestReport) return null;
+    return latestReport.badge === 'failure' ? latestReport.previousVersion : latestReport.updatedVersion;
+  }
+
+  // Most recent version older than the current one that the device installed successfully
+  // and that is still stored and released. Returns null when there is nothing to go back to.
+  static async findRollbackTarget(deviceId) {
+    const currentVersion = await this.getReportedVersion(deviceId);
+    if (!currentVersion) return null;
+
+    const successReports = await OTAUpdate.find({ deviceId, badge: 'success' })
+      .sort({ timestamp: -1, createdAt: -1 })
+      .select('updatedVersion');
+
+    const checked = new Set();
+    for (const { updatedVersion } of successReports) {
+      if (checked.has(updatedVersion) || compareVersions(updatedVersion, currentVersion) !== -1) continue;
+      checked.add(updatedVersion);
+
+      const firmware = await FirmwareModel.findOne(FirmwareModel.releasedOnly({ esp_id: deviceId, version: updatedVersion }))
+        .select('-fileData');
+      if (firmware) {
+        return { currentVersion, firmware };
+      }
+    }
+
+    return null;
+  }
+}
+
+module.exports = FirmwareResolver;
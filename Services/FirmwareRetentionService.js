@@ -0,0 +1,197 @@
+const FirmwareModel = require('../Models/FirmwareTableModel');
+const Device = require('../Models/DeviceModel');
+const OTAUpdate = require('../Models/OTAUpdateModel');
+const RolloutCampaign = require('../Models/RolloutCampaignModel');
+const FirmwareStorage = require('./FirmwareStorage');
+const FirmwareCatalogService = require('./FirmwareCatalogService');
+const DeltaPatchService = require('./DeltaPatchService');
+const FirmwareBundleService = require('./FirmwareBundleService');
+const { compareVersions } = require('./VersionUtils');
+require('dotenv').config();
+
+// Released images kept per esp_id regardless of usage
+const DEFAULT_KEEP_LAST = parseInt(process.env.FIRMWARE_RETENTION_KEEP_LAST || '5', 10);
+// Scheduled cleanup deletes images, so it only runs when an interval is configured (0, the default, disables it)
+const CLEANUP_INTERVAL_HOURS = parseFloat(process.env.FIRMWARE_RETENTION_INTERVAL_HOURS || '0');
+// Campaigns in these states still hand out their version
+const UNFINISHED_ROLLOUT_STATUSES = ['active', 'paused', 'halted'];
+// Builds still going through review are never collected
+const IN_PROGRESS_STATUSES = ['draft', 'review'];
+// Rejected builds can be fixed and resubmitted, so they are kept this long after their rejection
+const REJECTED_GRACE_DAYS = parseFloat(process.env.FIRMWARE_RETENTION_REJECTED_GRACE_DAYS || '30');
+
+let schedulerHandle = null;
+
+const byVersionDesc = (a, b) => compareVersions(b.version, a.version) || (b.uploadedDate - a.uploadedDate);
+
+// When a rejected build was last rejected (its upload date if the review history is missing)
+const rejectedAt = (firmware) => {
+  const rejections = (firmware.reviewComments || []).filter(entry => entry.action === 'rejected');
+  return rejections.length > 0 ? rejections[rejections.length - 1].createdAt : firmware.uploadedDate;
+};
+
+const summarize = (firmware, reasons) => ({
+  id: firmware._id,
+  version: firmware.version,
+  status: firmware.status,
+  channel: firmware.channel,
+  uploadedDate: firmware.uploadedDate,
+  sizeBytes: firmware.sizeBytes,
+  reasons
+});
+
+class FirmwareRetentionService {
+  // Versions the device's PICs are running: the latest report per PIC decides,
+  // and a failed update leaves the PIC on its previous version
+  static async getDeployedVersions(esp_id) {
+    const latestPerPic = await OTAUpdate.aggregate([
+      { $match: { deviceId: esp_id } },
+      { $sort: { timestamp: -1, createdAt: -1 } },
+      {
+        $group: {
+          _id: '$pic_id',
+          badge: { $first: '$badge' },
+          previousVersion: { $first: '$previousVersion' },
+          updatedVersion: { $first: '$updatedVersion' }
+        }
+      }
+    ]);
+    return new Set(latestPerPic.map(report => (report.badge === 'failure' ? report.previousVersion : report.updatedVersion)));
+  }
+
+  // Why a firmware must not be deleted right now. Empty when it is safe to remove.
+  static async getProtectionReasons(firmware, usage) {
+    const { deployed, pinned, rollouts } = usage || await this.getUsage(firmware.esp_id);
+    const reasons = [];
+    if (deployed.has(firmware.version)) reasons.push('deployed');
+    if (pinned.has(firmware.version)) reasons.push('pinned');
+    if (rollouts.has(firmware.version) || rollouts.has(String(firmware._id))) reasons.push('rollout');
+    return reasons;
+  }
+
+  static async getUsage(esp_id) {
+    const [deployed, device, campaigns] = await Promise.all([
+      this.getDeployedVersions(esp_id),
+      Device.findOne({ deviceId: esp_id }).select('pin'),
+      RolloutCampaign.find({ status: { $in: UNFINISHED_ROLLOUT_STATUSES } }).select('version firmware')
+    ]);
+
+    const pinned = new Set(device && device.pin && device.pin.version ? [device.pin.version] : []);
+    const rollouts = new Set();
+    campaigns.forEach(campaign => {
+      rollouts.add(campaign.version);
+      if (campaign.firmware) rollouts.add(String(campaign.firmware));
+    });
+    return { deployed, pinned, rollouts };
+  }
+
+  // Decide what to keep and what to remove for one esp_id
+  static async planDevice(esp_id, keepLast) {
+    const firmwares = (await FirmwareModel.find({ esp_id }).select('-fileData')).sort(byVersionDesc);
+    const usage = await this.getUsage(esp_id);
+    const keep = [];
+    const remove = [];
+    let releasedSeen = 0;
+
+    for (const firmware of firmwares) {
+      const reasons = await this.getProtectionReasons(firmware, usage);
+      if (IN_PROGRESS_STATUSES.includes(firmware.status)) {
+        reasons.push('in-review');
+      } else if (firmware.status === 'rejected') {
+        if (Date.now() - new Date(rejectedAt(firmware)).getTime() < REJECTED_GRACE_DAYS * 24 * 60 * 60 * 1000) {
+          reasons.push('recently-rejected');
+        }
+      } else if (firmware.status === 'released') {
+        releasedSeen++;
+        if (releasedSeen <= keepLast) reasons.push(`latest-${keepLast}`);
+      }
+
+      (reasons.length > 0 ? keep : remove).push(summarize(firmware, reasons));
+    }
+
+    return { esp_id, keep, remove };
+  }
+
+  // Dry-run view of the policy, optionally for a single device
+  static async buildReport({ esp_id, keepLast = DEFAULT_KEEP_LAST } = {}) {
+    const espIds = esp_id ? [esp_id] : await FirmwareModel.distinct('esp_id');
+    const devices = [];
+    for (const id of espIds) {
+      devices.push(await this.planDevice(id, keepLast));
+    }
+
+    const removable = devices.flatMap(device => device.remove);
+    return {
+      keepLast,
+      generatedAt: new Date(),
+      devices,
+      totals: {
+        kept: devices.reduce((sum, device) => sum + device.keep.length, 0),
+        removable: removable.length,
+        reclaimableBytes: removable.reduce((sum, firmware) => sum + (firmware.sizeBytes || 0), 0)
+      }
+    };
+  }
+
+  // Delete a firmware with everything derived from it
+  static async removeFirmware(firmware) {
+    await FirmwareCatalogService.unregisterFirmware(firmware);
+    await FirmwareStorage.remove(firmware);
+    await DeltaPatchService.removePatchesFor(firmware);
+    await FirmwareBundleService.removeBundlesFor(firmware);
+  }
+
+  // Apply the policy. Protection is re-checked right before each deletion because
+  // reports may have arrived since the plan was built.
+  static async runCleanup({ esp_id, keepLast = DEFAULT_KEEP_LAST, dryRun = false } = {}) {
+    const report = await this.buildReport({ esp_id, keepLast });
+    report.dryRun = dryRun;
+    report.removed = [];
+    report.skipped = [];
+    report.failed = [];
+    if (dryRun) return report;
+
+    for (const device of report.devices) {
+      for (const candidate of device.remove) {
+        try {
+          const firmware = await FirmwareModel.findById(candidate.id).select('-fileData');
+          if (!firmware) continue;
+
+          const reasons = await this.getProtectionReasons(firmware);
+          // e.g. a rejected build resubmitted for review
+          if (firmware.status !== candidate.status) reasons.push('status-changed');
+          if (reasons.length > 0) {
+            report.skipped.push({ ...candidate, reasons });
+            continue;
+          }
+
+          await this.removeFirmware(firmware);
+          report.removed.push(candidate);
+        } catch (error) {
+          console.error(`Error removing firmware ${candidate.id}:`, error);
+          report.failed.push({ ...candidate, error: error.message });
+        }
+      }
+    }
+
+    return report;
+  }
+
+  static startScheduler() {
+    if (schedulerHandle || !(CLEANUP_INTERVAL_HOURS > 0)) return;
+    console.log(`Firmware retention enabled: cleanup every ${CLEANUP_INTERVAL_HOURS}h, keeping the last ${DEFAULT_KEEP_LAST} released image(s) per device`);
+    schedulerHandle = setInterval(() => {
+      this.runCleanup()
+        .then(report => {
+          if (report.removed.length > 0) {
+            console.log(`Firmware retention removed ${report.removed.length} image(s)`);
+          }
+        })
+        .catch(error => console.error('Error running firmware retention:', error));
+    }, CLEANUP_INTERVAL_HOURS * 60 * 60 * 1000);
+  }
+}
+
+FirmwareRetentionService.DEFAULT_KEEP_LAST = DEFAULT_KEEP_LAST;
+
+module.exports = FirmwareRetentionService;
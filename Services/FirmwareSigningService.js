@@ -0,0 +1,130 @@
+const crypto = require('crypto');
+const SigningKey = require('../Models/SigningKeyModel');
+require('dotenv').config();
+
+const ALGORITHM = 'ed25519';
+// Optional passphrase used to encrypt private keys before they are stored in the database
+const KEY_PASSPHRASE = process.env.FIRMWARE_SIGNING_KEY_PASSPHRASE || '';
+
+// Raw 32-byte Ed25519 public key (the last 32 bytes of the SPKI DER encoding)
+const rawPublicKey = (publicKeyPem) => {
+  const der = crypto.createPublicKey(publicKeyPem).export({ type: 'spki', format: 'der' });
+  return der.subarray(der.length - 32);
+};
+
+const computeKeyId = (publicKeyPem) => {
+  return crypto.createHash('sha256').update(rawPublicKey(publicKeyPem)).digest('hex').slice(0, 16);
+};
+
+class FirmwareSigningService {
+  // Generate a new Ed25519 key pair and store it as the primary signing key
+  static async generateKey() {
+    const privateKeyEncoding = { type: 'pkcs8', format: 'pem' };
+    if (KEY_PASSPHRASE) {
+      privateKeyEncoding.cipher = 'aes-256-cbc';
+      privateKeyEncoding.passphrase = KEY_PASSPHRASE;
+    }
+
+    const { publicKey, privateKey } = crypto.generateKeyPairSync(ALGORITHM, {
+      publicKeyEncoding: { type: 'spki', format: 'pem' },
+      privateKeyEncoding
+    });
+
+    const signingKey = new SigningKey({
+      keyId: computeKeyId(publicKey),
+      algorithm: ALGORITHM,
+      publicKey,
+      privateKey,
+      status: 'active',
+      primary: true
+    });
+
+    await signingKey.save();
+    return signingKey;
+  }
+
+  // Get the key used to sign new uploads, creating one on first use
+  static async getPrimaryKey() {
+    const primaryKey = await SigningKey.findOne({ status: 'active', primary: true });
+    if (primaryKey) return primaryKey;
+    return this.generatePrimaryKey();
+  }
+
+  // Generate a primary key; when a concurrent request stored one first (unique index), use theirs
+  static async generatePrimaryKey() {
+    try {
+      return await this.generateKey();
+    } catch (error) {
+      if (error.code !== 11000) throw error;
+      const primaryKey = await SigningKey.findOne({ status: 'active', primary: true });
+      if (!primaryKey) throw error;
+      return primaryKey;
+    }
+  }
+
+  // Sign a firmware image given its hex SHA-256 digest. Signing the digest rather than the raw
+  // image lets devices hash the image while streaming it to flash and verify once at the end.
+  static async signDigest(sha256) {
+    const signingKey = await this.getPrimaryKey();
+    const privateKey = crypto.createPrivateKey({
+      key: signingKey.privateKey,
+      format: 'pem',
+      passphrase: KEY_PASSPHRASE || undefined
+    });
+
+    return {
+      signature: crypto.sign(null, Buffer.from(sha256, 'hex'), privateKey).toString('base64'),
+      keyId: signingKey.keyId,
+      algorithm: signingKey.algorithm
+    };
+  }
+
+  // Verify a stored signature against an image digest
+  static async verifyDigest(sha256, signature, keyId) {
+    const signingKey = await SigningKey.findOne({ keyId, status: 'active' });
+    if (!signingKey || !signature) return false;
+
+    return crypto.verify(null, Buffer.from(sha256, 'hex'), signingKey.publicKey, Buffer.from(signature, 'base64'));
+  }
+
+  // Create a new primary key. Previous keys stay published so already-signed images still verify.
+  static async rotateKey() {
+    await SigningKey.updateMany(
+      { status: 'active', primary: true },
+      { $set: { primary: false, retiredAt: new Date() } }
+    );
+    return this.generatePrimaryKey();
+  }
+
+  // Revoke a non-primary key so devices stop trusting images signed with it
+  static async revokeKey(keyId) {
+    const signingKey = await SigningKey.findOne({ keyId, status: 'active' });
+    if (!signingKey) {
+      return { revoked: false, error: 'Signing key not found' };
+    }
+    if (signingKey.primary) {
+      return { revoked: false, error: 'The primary signing key cannot be revoked, rotate it first' };
+    }
+
+    signingKey.status = 'revoked';
+    signingKey.revokedAt = new Date();
+    await signingKey.save();
+    return { revoked: true, key: signingKey };
+  }
+
+  // List the public halves of every key devices should trust
+  static async listPublicKeys() {
+    const keys = await SigningKey.find({ status: 'active' }).sort({ createdAt: -1 });
+    return keys.map(key => ({
+      keyId: key.keyId,
+      algorithm: key.algorithm,
+      primary: key.primary,
+      publicKey: key.publicKey,
+      publicKeyRaw: rawPublicKey(key.publicKey).toString('base64'),
+      createdAt: key.createdAt,
+      retiredAt: key.retiredAt
+    }));
+  }
+}
+
+module.exports = FirmwareSigningService;
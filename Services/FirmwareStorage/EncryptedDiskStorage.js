@@ -0,0 +1,65 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { pipeline } = require('stream');
+const EnvelopeEncryption = require('./EnvelopeEncryption');
+
+// Multer storage engine that never writes uploads to disk in plaintext. Each temp file is sealed
+// with an ephemeral key that lives only on req.file.encryption, so a leftover file in uploads/
+// cannot be read once the request is gone. Use openFile/readFile instead of fs to read it back.
+class EncryptedDiskStorage {
+  constructor({ destination, filename }) {
+    this.destination = destination;
+    this.filename = filename;
+  }
+
+  _handleFile(req, file, cb) {
+    this.filename(req, file, (filenameError, filename) => {
+      if (filenameError) return cb(filenameError);
+
+      const filePath = path.join(this.destination, filename);
+      const encryption = {
+        key: crypto.randomBytes(32),
+        nonce: crypto.randomBytes(8).toString('base64'),
+        chunkSize: 64 * 1024
+      };
+      const encryptor = EnvelopeEncryption.createEncryptStream(encryption.key, encryption);
+
+      pipeline(file.stream, encryptor, fs.createWriteStream(filePath), (error) => {
+        if (error) {
+          fs.unlink(filePath, () => cb(error));
+          return;
+        }
+        cb(null, {
+          destination: this.destination,
+          filename,
+          path: filePath,
+          size: encryptor.plaintextSize,
+          encryption
+        });
+      });
+    });
+  }
+
+  _removeFile(req, file, cb) {
+    delete file.encryption;
+    fs.unlink(file.path, cb);
+  }
+
+  // Plaintext stream over an uploaded file
+  static openFile(file) {
+    const cipherRange = EnvelopeEncryption.getCipherRange(file.encryption, file.size);
+    const decryptor = EnvelopeEncryption.createDecryptStream(file.encryption.key, file.encryption, cipherRange);
+    return pipeline(fs.createReadStream(file.path), decryptor, () => {});
+  }
+
+  static async readFile(file) {
+    const chunks = [];
+    for await (const chunk of this.openFile(file)) {
+      chunks.push(chunk);
+    }
+    return Buffer.concat(chunks);
+  }
+}
+
+module.exports = EncryptedDiskStorage;
@@ -0,0 +1,211 @@
+const crypto = require('crypto');
+const { Transform } = require('stream');
+require('dotenv').config();
+
+// Binaries are encrypted with a random data key per blob (AES-256-GCM); the data key is stored
+// wrapped with the key-encryption key (KEK) from FIRMWARE_KEK (32 bytes, base64 or hex).
+// FIRMWARE_PREVIOUS_KEKS ("id:key,id:key") keeps older KEKs readable after a rotation.
+//
+// The plaintext is split into fixed-size chunks, each sealed separately, so byte ranges can be
+// decrypted without reading the whole blob. Chunk nonce = 8 random bytes + chunk index; the
+// associated data marks the final chunk so truncation is detected.
+const ALGORITHM = 'aes-256-gcm-chunked';
+const DEFAULT_CHUNK_SIZE = 64 * 1024;
+const TAG_LENGTH = 16;
+
+const parseKey = (value) => {
+  if (!value) return null;
+  const trimmed = value.trim();
+  const key = /^[0-9a-f]{64}$/i.test(trimmed) ? Buffer.from(trimmed, 'hex') : Buffer.from(trimmed, 'base64');
+  if (key.length !== 32) {
+    throw new Error('Firmware KEKs must be 32 bytes (base64 or hex encoded)');
+  }
+  return key;
+};
+
+const loadKeks = () => {
+  const keks = new Map();
+  (process.env.FIRMWARE_PREVIOUS_KEKS || '').split(',').filter(Boolean).forEach(entry => {
+    const separator = entry.indexOf(':');
+    keks.set(entry.slice(0, separator).trim(), parseKey(entry.slice(separator + 1)));
+  });
+  const current = parseKey(process.env.FIRMWARE_KEK);
+  if (current) keks.set(process.env.FIRMWARE_KEK_ID || 'default', current);
+  return keks;
+};
+
+const KEKS = loadKeks();
+const CURRENT_KEK_ID = process.env.FIRMWARE_KEK ? (process.env.FIRMWARE_KEK_ID || 'default') : null;
+
+const chunkAad = (index, final) => {
+  const aad = Buffer.alloc(5);
+  aad.writeUInt32BE(index, 0);
+  aad[4] = final ? 1 : 0;
+  return aad;
+};
+
+const chunkNonce = (nonce, index) => {
+  const iv = Buffer.alloc(12);
+  nonce.copy(iv, 0, 0, 8);
+  iv.writeUInt32BE(index, 8);
+  return iv;
+};
+
+class EnvelopeEncryption {
+  static isEnabled() {
+    return Boolean(CURRENT_KEK_ID);
+  }
+
+  static wrapKey(rawKey) {
+    if (!this.isEnabled()) {
+      throw new Error('FIRMWARE_KEK is not configured');
+    }
+    const keyIv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', KEKS.get(CURRENT_KEK_ID), keyIv);
+    const wrappedKey = Buffer.concat([cipher.update(rawKey), cipher.final()]);
+    return {
+      kekId: CURRENT_KEK_ID,
+      wrappedKey: wrappedKey.toString('base64'),
+      keyIv: keyIv.toString('base64'),
+      keyTag: cipher.getAuthTag().toString('base64')
+    };
+  }
+
+  static unwrapKey({ kekId, wrappedKey, keyIv, keyTag }) {
+    const kek = KEKS.get(kekId);
+    if (!kek) {
+      throw new Error(`Key-encryption key "${kekId}" is not configured`);
+    }
+    const decipher = crypto.createDecipheriv('aes-256-gcm', kek, Buffer.from(keyIv, 'base64'));
+    decipher.setAuthTag(Buffer.from(keyTag, 'base64'));
+    return Buffer.concat([decipher.update(Buffer.from(wrappedKey, 'base64')), decipher.final()]);
+  }
+
+  // Fresh data key plus the metadata stored next to the blob
+  static createEnvelope(chunkSize = DEFAULT_CHUNK_SIZE) {
+    const dataKey = crypto.randomBytes(32);
+    return {
+      dataKey,
+      encryption: {
+        algorithm: ALGORITHM,
+        chunkSize,
+        nonce: crypto.randomBytes(8).toString('base64'),
+        ...this.wrapKey(dataKey)
+      }
+    };
+  }
+
+  // Transform that seals plaintext chunk by chunk. plaintextSize is set once the stream ends.
+  static createEncryptStream(dataKey, { nonce, chunkSize }) {
+    const nonceBytes = Buffer.from(nonce, 'base64');
+    let pending = Buffer.alloc(0);
+    let index = 0;
+
+    const seal = (chunk, final) => {
+      const cipher = crypto.createCipheriv('aes-256-gcm', dataKey, chunkNonce(nonceBytes, index));
+      cipher.setAAD(chunkAad(index, final));
+      index++;
+      return Buffer.concat([cipher.update(chunk), cipher.final(), cipher.getAuthTag()]);
+    };
+
+    const stream = new Transform({
+      transform(data, encoding, callback) {
+        stream.plaintextSize += data.length;
+        pending = Buffer.concat([pending, data]);
+        // Keep at least one byte back so the final chunk is only sealed in flush()
+        while (pending.length > chunkSize) {
+          this.push(seal(pending.subarray(0, chunkSize), false));
+          pending = pending.subarray(chunkSize);
+        }
+        callback();
+      },
+      flush(callback) {
+        this.push(seal(pending, true));
+        callback();
+      }
+    });
+    stream.plaintextSize = 0;
+    return stream;
+  }
+
+  // Map an inclusive plaintext range onto the sealed chunks that contain it
+  static getCipherRange(encryption, plaintextSize, range = {}) {
+    const { chunkSize } = encryption;
+    const sealedChunkSize = chunkSize + TAG_LENGTH;
+    const totalChunks = Math.max(1, Math.ceil(plaintextSize / chunkSize));
+    const start = range.start ?? 0;
+    const end = range.end ?? plaintextSize - 1;
+
+    const firstChunk = Math.floor(start / chunkSize);
+    const lastChunk = Math.max(firstChunk, Math.floor(Math.max(end, 0) / chunkSize));
+    const lastSealedEnd = lastChunk === totalChunks - 1
+      ? (totalChunks - 1) * sealedChunkSize + (plaintextSize - (totalChunks - 1) * chunkSize) + TAG_LENGTH - 1
+      : (lastChunk + 1) * sealedChunkSize - 1;
+
+    return {
+      start: firstChunk * sealedChunkSize,
+      end: lastSealedEnd,
+      firstChunk,
+      totalChunks,
+      skip: start - firstChunk * chunkSize,
+      length: Math.max(end - start + 1, 0)
+    };
+  }
+
+  // Transform that opens sealed chunks starting at cipherRange.firstChunk and emits exactly the requested bytes
+  static createDecryptStream(dataKey, encryption, cipherRange) {
+    const nonceBytes = Buffer.from(encryption.nonce, 'base64');
+    const sealedChunkSize = encryption.chunkSize + TAG_LENGTH;
+    let pending = Buffer.alloc(0);
+    let index = cipherRange.firstChunk;
+    let skip = cipherRange.skip;
+    let remaining = cipherRange.length;
+
+    const open = (sealed) => {
+      const decipher = crypto.createDecipheriv('aes-256-gcm', dataKey, chunkNonce(nonceBytes, index));
+      decipher.setAAD(chunkAad(index, index === cipherRange.totalChunks - 1));
+      decipher.setAuthTag(sealed.subarray(sealed.length - TAG_LENGTH));
+      index++;
+      return Buffer.concat([decipher.update(sealed.subarray(0, sealed.length - TAG_LENGTH)), decipher.final()]);
+    };
+
+    const emit = (stream, plaintext) => {
+      let output = plaintext;
+      if (skip > 0) {
+        output = output.subarray(Math.min(skip, output.length));
+        skip = Math.max(skip - plaintext.length, 0);
+      }
+      output = output.subarray(0, remaining);
+      remaining -= output.length;
+      if (output.length > 0) stream.push(output);
+    };
+
+    return new Transform({
+      transform(data, encoding, callback) {
+        try {
+          pending = Buffer.concat([pending, data]);
+          while (pending.length >= sealedChunkSize) {
+            emit(this, open(pending.subarray(0, sealedChunkSize)));
+            pending = pending.subarray(sealedChunkSize);
+          }
+          callback();
+        } catch (error) {
+          callback(new Error(`Firmware blob failed authentication: ${error.message}`));
+        }
+      },
+      flush(callback) {
+        try {
+          if (pending.length > 0) emit(this, open(pending));
+          if (remaining > 0) throw new Error('blob is truncated');
+          callback();
+        } catch (error) {
+          callback(new Error(`Firmware blob failed authentication: ${error.message}`));
+        }
+      }
+    });
+  }
+}
+
+EnvelopeEncryption.ALGORITHM = ALGORITHM;
+
+module.exports = EnvelopeEncryption;
@@ -0,0 +1,41 @@
+const mongoose = require('mongoose');
+const { pipeline } = require('stream/promises');
+
+// Stores firmware blobs in the application's own MongoDB through GridFS
+class GridFSAdapter {
+  constructor({ bucketName = 'firmware' } = {}) {
+    this.name = 'gridfs';
+    this.bucketName = bucketName;
+  }
+
+  getBucket() {
+    if (!mongoose.connection.db) {
+      throw new Error('GridFS storage requires an open database connection');
+    }
+    return new mongoose.mongo.GridFSBucket(mongoose.connection.db, { bucketName: this.bucketName });
+  }
+
+  async write(key, readable, { contentType } = {}) {
+    const uploadStream = this.getBucket().openUploadStream(key, { contentType });
+    await pipeline(readable, uploadStream);
+    return { size: uploadStream.length };
+  }
+
+  // start/end are inclusive byte offsets, GridFS expects an exclusive end
+  async createReadStream(key, { start, end } = {}) {
+    const options = {};
+    if (start !== undefined) options.start = start;
+    if (end !== undefined) options.end = end + 1;
+    return this.getBucket().openDownloadStreamByName(key, options);
+  }
+
+  async remove(key) {
+    const bucket = this.getBucket();
+    const files = await bucket.find({ filename: key }).toArray();
+    for (const file of files) {
+      await bucket.delete(file._id);
+    }
+  }
+}
+
+module.exports = GridFSAdapter;
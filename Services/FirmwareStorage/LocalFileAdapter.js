@@ -0,0 +1,48 @@
+const fs = require('fs');
+const path = require('path');
+const { pipeline } = require('stream/promises');
+
+// Stores firmware blobs on the local filesystem (single-node deployments and development)
+class LocalFileAdapter {
+  constructor({ directory } = {}) {
+    this.name = 'local';
+    this.directory = directory || path.join(__dirname, '../../storage/firmware');
+  }
+
+  resolvePath(key) {
+    const filePath = path.resolve(this.directory, key);
+    if (!filePath.startsWith(path.resolve(this.directory) + path.sep)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+    return filePath;
+  }
+
+  async write(key, readable) {
+    const filePath = this.resolvePath(key);
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+
+    // Write to a temp name first so readers never see a half-written blob
+    const tempPath = `${filePath}.${Date.now()}.part`;
+    try {
+      await pipeline(readable, fs.createWriteStream(tempPath));
+      await fs.promises.rename(tempPath, filePath);
+    } catch (error) {
+      await fs.promises.rm(tempPath, { force: true });
+      throw error;
+    }
+
+    const { size } = await fs.promises.stat(filePath);
+    return { size };
+  }
+
+  // start/end are inclusive byte offsets, same as fs.createReadStream
+  async createReadStream(key, { start, end } = {}) {
+    return fs.createReadStream(this.resolvePath(key), { start, end });
+  }
+
+  async remove(key) {
+    await fs.promises.rm(this.resolvePath(key), { force: true });
+  }
+}
+
+module.exports = LocalFileAdapter;
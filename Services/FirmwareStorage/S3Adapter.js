@@ -0,0 +1,57 @@
+const { S3Client, GetObjectCommand, DeleteObjectCommand } = require('@aws-sdk/client-s3');
+const { Upload } = require('@aws-sdk/lib-storage');
+
+// Stores firmware blobs in any S3-compatible object store (AWS S3, MinIO for local development)
+class S3Adapter {
+  constructor({ bucket, region, endpoint, accessKeyId, secretAccessKey } = {}) {
+    if (!bucket) {
+      throw new Error('S3 storage requires FIRMWARE_S3_BUCKET to be set');
+    }
+    this.name = 's3';
+    this.bucket = bucket;
+
+    const clientConfig = { region: region || 'us-east-1' };
+    if (endpoint) {
+      // MinIO and most self-hosted stores only support path-style addressing
+      clientConfig.endpoint = endpoint;
+      clientConfig.forcePathStyle = true;
+    }
+    if (accessKeyId && secretAccessKey) {
+      clientConfig.credentials = { accessKeyId, secretAccessKey };
+    }
+    this.client = new S3Client(clientConfig);
+  }
+
+  async write(key, readable, { contentType } = {}) {
+    let size = 0;
+    readable.on('data', chunk => { size += chunk.length; });
+
+    const upload = new Upload({
+      client: this.client,
+      params: {
+        Bucket: this.bucket,
+        Key: key,
+        Body: readable,
+        ContentType: contentType || 'application/octet-stream'
+      }
+    });
+    await upload.done();
+    return { size };
+  }
+
+  // start/end are inclusive byte offsets, same as the HTTP Range header
+  async createReadStream(key, { start, end } = {}) {
+    const params = { Bucket: this.bucket, Key: key };
+    if (start !== undefined || end !== undefined) {
+      params.Range = `bytes=${start ?? 0}-${end ?? ''}`;
+    }
+    const response = await this.client.send(new GetObjectCommand(params));
+    return response.Body;
+  }
+
+  async remove(key) {
+    await this.client.send(new DeleteObjectCommand({ Bucket: this.bucket, Key: key }));
+  }
+}
+
+module.exports = S3Adapter;
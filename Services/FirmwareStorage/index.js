@@ -0,0 +1,272 @@
+const { Readable, pipeline } = require('stream');
+const FirmwareModel = require('../../Models/FirmwareTableModel');
+const FirmwarePatch = require('../../Models/FirmwarePatchModel');
+const FirmwareBundle = require('../../Models/FirmwareBundleModel');
+const GridFSAdapter = require('./GridFSAdapter');
+const LocalFileAdapter = require('./LocalFileAdapter');
+const S3Adapter = require('./S3Adapter');
+const EnvelopeEncryption = require('./EnvelopeEncryption');
+const EncryptedDiskStorage = require('./EncryptedDiskStorage');
+require('dotenv').config();
+
+// FIRMWARE_STORAGE selects where new binaries are written: 'gridfs' (default), 'local' or 's3'
+const DEFAULT_BACKEND = process.env.FIRMWARE_STORAGE || 'gridfs';
+
+const adapters = {};
+
+const createAdapter = (backend) => {
+  switch (backend) {
+    case 'gridfs':
+      return new GridFSAdapter({ bucketName: process.env.FIRMWARE_GRIDFS_BUCKET || 'firmware' });
+    case 'local':
+      return new LocalFileAdapter({ directory: process.env.FIRMWARE_STORAGE_DIR });
+    case 's3':
+      return new S3Adapter({
+        bucket: process.env.FIRMWARE_S3_BUCKET,
+        region: process.env.FIRMWARE_S3_REGION,
+        endpoint: process.env.FIRMWARE_S3_ENDPOINT,
+        accessKeyId: process.env.FIRMWARE_S3_ACCESS_KEY_ID,
+        secretAccessKey: process.env.FIRMWARE_S3_SECRET_ACCESS_KEY
+      });
+    default:
+      throw new Error(`Unknown firmware storage backend: ${backend}`);
+  }
+};
+
+class FirmwareStorage {
+  static getAdapter(backend = DEFAULT_BACKEND) {
+    if (!adapters[backend]) {
+      adapters[backend] = createAdapter(backend);
+    }
+    return adapters[backend];
+  }
+
+  static buildKey(firmware) {
+    return `${encodeURIComponent(firmware.esp_id)}/${firmware._id}.bin`;
+  }
+
+  static buildPatchKey(patch) {
+    return `${encodeURIComponent(patch.esp_id)}/patches/${patch._id}.patch`;
+  }
+
+  static buildComponentKey(bundle, component) {
+    return `${encodeURIComponent(bundle.esp_id)}/bundles/${bundle._id}/${encodeURIComponent(component.name)}.${component.format}`;
+  }
+
+  // Stream a readable into the configured backend and record its location on the firmware document.
+  // Other documents with the same storage/sizeBytes fields (patches, bundle components) pass their own key.
+  // When FIRMWARE_KEK is configured the blob is envelope-encrypted; sizeBytes is always the plaintext size.
+  static async store(firmware, readable, backend = DEFAULT_BACKEND, key = this.buildKey(firmware)) {
+    const adapter = this.getAdapter(backend);
+
+    if (EnvelopeEncryption.isEnabled()) {
+      const { dataKey, encryption } = EnvelopeEncryption.createEnvelope();
+      const encryptor = EnvelopeEncryption.createEncryptStream(dataKey, encryption);
+      await adapter.write(key, pipeline(readable, encryptor, () => {}), { contentType: 'application/octet-stream' });
+
+      firmware.storage = { backend: adapter.name, key };
+      firmware.encryption = encryption;
+      firmware.sizeBytes = encryptor.plaintextSize;
+      return firmware.storage;
+    }
+
+    const { size } = await adapter.write(key, readable, { contentType: firmware.fileMimeType });
+
+    firmware.storage = { backend: adapter.name, key };
+    firmware.encryption = undefined;
+    firmware.sizeBytes = size;
+    return firmware.storage;
+  }
+
+  // Store a temp upload written by EncryptedDiskStorage
+  static async storeFile(firmware, file, backend = DEFAULT_BACKEND) {
+    return this.store(firmware, EncryptedDiskStorage.openFile(file), backend);
+  }
+
+  // Documents written before the storage layer keep their binary inline in fileData
+  static async loadEmbeddedData(firmware) {
+    if (firmware.fileData) return firmware.fileData;
+    const withData = await FirmwareModel.findById(firmware._id).select('fileData');
+    return withData ? withData.fileData : null;
+  }
+
+  static async getSize(firmware) {
+    if (typeof firmware.sizeBytes === 'number') return firmware.sizeBytes;
+    const data = await this.loadEmbeddedData(firmware);
+    return data ? data.length : 0;
+  }
+
+  // Open a read stream over the whole image or an inclusive { start, end } byte range
+  static async openReadStream(firmware, range = {}) {
+    if (firmware.storage && firmware.storage.key) {
+      const adapter = this.getAdapter(firmware.storage.backend);
+      const { encryption } = firmware;
+      if (!encryption || !encryption.algorithm) {
+        return adapter.createReadStream(firmware.storage.key, range);
+      }
+
+      // Read only the sealed chunks covering the range and decrypt those
+      const cipherRange = EnvelopeEncryption.getCipherRange(encryption, firmware.sizeBytes, range);
+      const sealed = await adapter.createReadStream(firmware.storage.key, { start: cipherRange.start, end: cipherRange.end });
+      const decryptor = EnvelopeEncryption.createDecryptStream(EnvelopeEncryption.unwrapKey(encryption), encryption, cipherRange);
+      return pipeline(sealed, decryptor, () => {});
+    }
+
+    const data = await this.loadEmbeddedData(firmware);
+    if (!data) {
+      throw new Error(`No binary stored for firmware ${firmware._id}`);
+    }
+    const start = range.start ?? 0;
+    const end = range.end ?? data.length - 1;
+    return Readable.from([data.subarray(start, end + 1)]);
+  }
+
+  static async readBuffer(firmware) {
+    const chunks = [];
+    for await (const chunk of await this.openReadStream(firmware)) {
+      chunks.push(chunk);
+    }
+    return Buffer.concat(chunks);
+  }
+
+  static async remove(firmware) {
+    if (!firmware.storage || !firmware.storage.key) return;
+    await this.getAdapter(firmware.storage.backend).remove(firmware.storage.key);
+  }
+
+  // Move inline fileData buffers into the configured backend one document at a time.
+  // Readers switch over atomically when storage is set, so this can run against a live system.
+  static async migrateEmbeddedBinaries({ backend = DEFAULT_BACKEND, dryRun = false, log = console.log } = {}) {
+    const report = { candidates: 0, migrated: 0, failed: [] };
+    const query = { fileData: { $exists: true }, 'storage.key': { $exists: false } };
+
+    const cursor = FirmwareModel.find(query).select('_id').lean().cursor();
+    for await (const { _id } of cursor) {
+      report.candidates++;
+      if (dryRun) continue;
+
+      try {
+        const firmware = await FirmwareModel.findOne({ _id, ...query });
+        if (!firmware) continue; // migrated or deleted meanwhile
+
+        // Encrypted blobs get a per-run key: a concurrent run would seal the same key with a different data key
+        const key = EnvelopeEncryption.isEnabled() ? `${this.buildKey(firmware)}.${Date.now()}.enc` : undefined;
+        const storage = await this.store(firmware, Readable.from([firmware.fileData]), backend, key);
+        const fields = { storage: { backend: storage.backend, key: storage.key }, sizeBytes: firmware.fileData.length };
+        if (firmware.encryption) fields.encryption = firmware.encryption.toObject();
+
+        const result = await FirmwareModel.updateOne(
+          { _id, 'storage.key': { $exists: false } },
+          {
+            $set: fields,
+            $unset: { fileData: '' }
+          }
+        );
+
+        // Plaintext keys are derived from the document id, so a concurrent run wrote the same blob
+        if (result.modifiedCount === 1) {
+          report.migrated++;
+          log(`✅ Migrated firmware ${_id} (${firmware.esp_id} v${firmware.version}) to ${storage.backend}`);
+        } else if (key) {
+          await this.getAdapter(storage.backend).remove(key);
+        }
+      } catch (error) {
+        report.failed.push({ id: _id, error: error.message });
+        log(`❌ Failed to migrate firmware ${_id}: ${error.message}`);
+      }
+    }
+
+    return report;
+  }
+
+  // Re-store one plaintext blob encrypted under a fresh key. commit(fields, previousKey) persists the
+  // new location and returns true when this run won; otherwise the copy written here is removed.
+  static async encryptBlob(doc, commit) {
+    const previous = { backend: doc.storage.backend, key: doc.storage.key };
+    const plaintext = await this.openReadStream(doc);
+    await this.store(doc, plaintext, previous.backend, `${previous.key}.${Date.now()}.enc`);
+
+    const fields = {
+      storage: { backend: doc.storage.backend, key: doc.storage.key },
+      encryption: doc.encryption.toObject ? doc.encryption.toObject() : doc.encryption,
+      sizeBytes: doc.sizeBytes
+    };
+    if (await commit(fields, previous.key)) {
+      await this.getAdapter(previous.backend).remove(previous.key);
+      return true;
+    }
+    await this.remove(doc);
+    return false;
+  }
+
+  // Encrypt blobs written before FIRMWARE_KEK was configured: images, cached patches and bundle components
+  static async encryptStoredBinaries({ dryRun = false, log = console.log } = {}) {
+    if (!EnvelopeEncryption.isEnabled()) {
+      throw new Error('FIRMWARE_KEK is not configured');
+    }
+
+    const report = { candidates: 0, encrypted: 0, failed: [] };
+    const plaintextQuery = { 'storage.key': { $exists: true }, 'encryption.algorithm': { $exists: false } };
+
+    for (const Model of [FirmwareModel, FirmwarePatch]) {
+      const cursor = Model.find(plaintextQuery).select('_id').lean().cursor();
+      for await (const { _id } of cursor) {
+        report.candidates++;
+        if (dryRun) continue;
+
+        try {
+          const doc = await Model.findOne({ _id, ...plaintextQuery }).select('-fileData');
+          if (!doc) continue; // encrypted or deleted meanwhile
+
+          const encrypted = await this.encryptBlob(doc, async (fields, previousKey) => {
+            const result = await Model.updateOne({ _id, 'storage.key': previousKey }, { $set: fields });
+            return result.modifiedCount === 1;
+          });
+          if (encrypted) {
+            report.encrypted++;
+            log(`✅ Encrypted ${Model.modelName} ${_id}`);
+          }
+        } catch (error) {
+          report.failed.push({ id: _id, error: error.message });
+          log(`❌ Failed to encrypt ${Model.modelName} ${_id}: ${error.message}`);
+        }
+      }
+    }
+
+    const bundles = FirmwareBundle.find({ components: { $elemMatch: plaintextQuery } }).cursor();
+    for await (const bundle of bundles) {
+      for (const component of bundle.components) {
+        if (!component.storage || !component.storage.key || (component.encryption && component.encryption.algorithm)) continue;
+        report.candidates++;
+        if (dryRun) continue;
+
+        try {
+          const encrypted = await this.encryptBlob(component, async (fields, previousKey) => {
+            const result = await FirmwareBundle.updateOne(
+              { _id: bundle._id, components: { $elemMatch: { name: component.name, 'storage.key': previousKey } } },
+              {
+                $set: {
+                  'components.$.storage': fields.storage,
+                  'components.$.encryption': fields.encryption,
+                  'components.$.sizeBytes': fields.sizeBytes
+                }
+              }
+            );
+            return result.modifiedCount === 1;
+          });
+          if (encrypted) {
+            report.encrypted++;
+            log(`✅ Encrypted bundle ${bundle._id} component ${component.name}`);
+          }
+        } catch (error) {
+          report.failed.push({ id: `${bundle._id}/${component.name}`, error: error.message });
+          log(`❌ Failed to encrypt bundle ${bundle._id} component ${component.name}: ${error.message}`);
+        }
+      }
+    }
+
+    return report;
+  }
+}
+
+module.exports = FirmwareStorage;
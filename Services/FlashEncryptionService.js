@@ -0,0 +1,134 @@
+const crypto = require('crypto');
+const { Readable } = require('stream');
+const Device = require('../Models/DeviceModel');
+const FirmwareStorage = require('./FirmwareStorage');
+const EnvelopeEncryption = require('./FirmwareStorage/EnvelopeEncryption');
+
+// Pre-encrypts images for devices with ESP32 flash encryption in release mode, so the OTA
+// client can write them to the partition as-is. Mirrors espsecure's XTS-AES scheme used by
+// the ESP32-S2/S3/C-series: 128-byte blocks, the tweak is the block's flash address, and
+// input and output bytes are reversed around the standard XTS operation.
+// The original ESP32 uses a different (non-XTS) scheme and is not supported.
+const BLOCK_SIZE = 0x80;
+const UNSUPPORTED_CHIPS = ['esp32'];
+
+const parseKeyValue = (value) => {
+  const trimmed = String(value).trim();
+  return /^[0-9a-f]+$/i.test(trimmed) && trimmed.length % 2 === 0
+    ? Buffer.from(trimmed, 'hex')
+    : Buffer.from(trimmed, 'base64');
+};
+
+// espsecure key files: 16 bytes (extended with SHA-256, ESP32-C2), 32 bytes (AES-128-XTS) or 64 bytes (AES-256-XTS)
+const cipherFor = (key) => {
+  if (key.length === 16) return { algorithm: 'aes-128-xts', key: crypto.createHash('sha256').update(key).digest() };
+  if (key.length === 32) return { algorithm: 'aes-128-xts', key };
+  return { algorithm: 'aes-256-xts', key };
+};
+
+const tweakFor = (address) => {
+  const tweak = Buffer.alloc(16);
+  tweak.writeUInt32LE((address & ~(BLOCK_SIZE - 1)) >>> 0, 0);
+  return tweak;
+};
+
+class FlashEncryptionService {
+  // Accepts a hex or base64 key. Returns { isValid, key } or { isValid: false, error }.
+  static parseKey(value) {
+    if (!value) {
+      return { isValid: false, error: 'key is required' };
+    }
+    const key = parseKeyValue(value);
+    if (![16, 32, 64].includes(key.length)) {
+      return { isValid: false, error: 'Flash encryption keys must be 16, 32 or 64 bytes (hex or base64 encoded)' };
+    }
+    if (key.length > 16 && key.subarray(0, key.length / 2).equals(key.subarray(key.length / 2))) {
+      return { isValid: false, error: 'The two halves of an XTS key must differ' };
+    }
+    return { isValid: true, key };
+  }
+
+  // Accepts "0x10000" or a decimal offset. Flash encryption works on 16-byte units.
+  static parseFlashAddress(value) {
+    const text = String(value ?? '').trim();
+    const flashAddress = /^0x[0-9a-f]+$/i.test(text) ? parseInt(text, 16) : (/^\d+$/.test(text) ? parseInt(text, 10) : NaN);
+    if (!Number.isSafeInteger(flashAddress) || flashAddress > 0xFFFFFFFF) {
+      return { isValid: false, error: 'flashAddress must be a hex (0x10000) or decimal flash offset' };
+    }
+    if (flashAddress % 16 !== 0) {
+      return { isValid: false, error: 'flashAddress must be a multiple of 16' };
+    }
+    return { isValid: true, flashAddress };
+  }
+
+  static supportsChip(chip) {
+    return !chip || !UNSUPPORTED_CHIPS.includes(chip);
+  }
+
+  // Encrypt data that will be written at flashAddress, as `espsecure encrypt_flash_data --aes_xts` does
+  static encrypt(data, key, flashAddress) {
+    if (data.length === 0 || data.length % 16 !== 0) {
+      throw new Error(`Image length (${data.length}) must be a non-zero multiple of 16 for flash encryption`);
+    }
+    if (flashAddress % 16 !== 0) {
+      throw new Error('Flash address must be a multiple of 16');
+    }
+
+    const cipher = cipherFor(key);
+    // Pad to whole 128-byte blocks aligned on flash addresses
+    const padLeft = flashAddress % BLOCK_SIZE;
+    const padRight = (BLOCK_SIZE - ((padLeft + data.length) % BLOCK_SIZE)) % BLOCK_SIZE;
+    const input = Buffer.concat([Buffer.alloc(padLeft), data, Buffer.alloc(padRight)]);
+    const output = Buffer.alloc(input.length);
+
+    for (let offset = 0; offset < input.length; offset += BLOCK_SIZE) {
+      const encryptor = crypto.createCipheriv(cipher.algorithm, cipher.key, tweakFor(flashAddress - padLeft + offset));
+      const block = Buffer.from(input.subarray(offset, offset + BLOCK_SIZE)).reverse();
+      Buffer.concat([encryptor.update(block), encryptor.final()]).reverse().copy(output, offset);
+    }
+
+    return output.subarray(padLeft, padLeft + data.length);
+  }
+
+  // Stream an inclusive { start, end } range of the image as it will appear in encrypted flash.
+  // Blocks are independent, so only the 128-byte blocks covering the range are read and encrypted.
+  static async openEncryptedStream(firmware, key, flashAddress, range = {}) {
+    const size = await FirmwareStorage.getSize(firmware);
+    const start = range.start ?? 0;
+    const end = range.end ?? size - 1;
+
+    const alignedStart = Math.max(start - ((flashAddress + start) % BLOCK_SIZE), 0);
+    const blockEnd = end + (BLOCK_SIZE - 1 - ((flashAddress + end) % BLOCK_SIZE));
+    const alignedEnd = Math.min(blockEnd, size - 1);
+
+    const chunks = [];
+    for await (const chunk of await FirmwareStorage.openReadStream(firmware, { start: alignedStart, end: alignedEnd })) {
+      chunks.push(chunk);
+    }
+    const encrypted = this.encrypt(Buffer.concat(chunks), key, flashAddress + alignedStart);
+    return Readable.from([encrypted.subarray(start - alignedStart, end - alignedStart + 1)]);
+  }
+
+  // Fields stored on Device.flashEncryption; the key itself is wrapped with the firmware KEK
+  static wrapDeviceKey(key) {
+    return {
+      ...EnvelopeEncryption.wrapKey(key),
+      keyLength: key.length,
+      configuredAt: new Date()
+    };
+  }
+
+  // The device's flash encryption key, or null when none is configured
+  static async loadDeviceKey(deviceId) {
+    const device = await Device.findOne({ deviceId }).select('+flashEncryption.wrappedKey');
+    if (!device || !device.flashEncryption || !device.flashEncryption.wrappedKey) return null;
+    return {
+      key: EnvelopeEncryption.unwrapKey(device.flashEncryption),
+      configuredAt: device.flashEncryption.configuredAt
+    };
+  }
+}
+
+FlashEncryptionService.BLOCK_SIZE = BLOCK_SIZE;
+
+module.exports = FlashEncryptionService;
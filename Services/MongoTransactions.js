@@ -0,0 +1,33 @@
+const mongoose = require('mongoose');
+
+// Cached answer to "does the connected server support transactions?"
+let transactionsSupported = null;
+
+// Transactions need a replica set or mongos; callers fall back to compensation on standalone servers
+const supportsTransactions = async () => {
+  if (transactionsSupported === null) {
+    await mongoose.connection.asPromise();
+    const hello = await mongoose.connection.db.admin().command({ hello: 1 });
+    transactionsSupported = Boolean(hello.setName) || hello.msg === 'isdbgrid';
+    if (!transactionsSupported) {
+      console.warn('MongoDB is not a replica set; multi-document writes run without transactions');
+    }
+  }
+  return transactionsSupported;
+};
+
+// Run work(session) in a transaction; withTransaction retries it on transient errors and write conflicts
+const runInTransaction = async (work) => {
+  const session = await mongoose.startSession();
+  try {
+    let result;
+    await session.withTransaction(async () => {
+      result = await work(session);
+    });
+    return result;
+  } finally {
+    await session.endSession();
+  }
+};
+
+module.exports = { supportsTransactions, runInTransaction };
@@ -0,0 +1,230 @@
+const crypto = require('crypto');
+const mqtt = require('mqtt');
+const OtaReportService = require('./OtaReportService');
+const OtaManifestService = require('./OtaManifestService');
+const OtaProgressService = require('./OtaProgressService');
+const DeviceCredentialService = require('./DeviceCredentialService');
+require('dotenv').config();
+
+// MQTT_URL (e.g. mqtt://localhost:1883) enables the bridge; MQTT_USERNAME/MQTT_PASSWORD are optional.
+// Devices publish to {prefix}/{deviceId}/ota/report (one report, or { reports: [...] } for a batch),
+// {prefix}/{deviceId}/ota/checkin and {prefix}/{deviceId}/ota/progress, and listen on
+// {prefix}/{deviceId}/ota/cmd for acknowledgements, manifests and update notifications.
+// Messages carry the device's credential (see DeviceCredentialService) around the JSON payload:
+//   { "keyId", "timestamp", "nonce", "signature", "payload": "<JSON text>" }, signed like an HTTP request
+//     with method "MQTT", the topic as URL and the payload text as body
+//   { "keyId", "secret", "payload": "<JSON text>" } for devices that can't compute an HMAC (TLS only)
+// The credential must belong to the deviceId in the topic. Bare payloads are only accepted with
+// DEVICE_AUTH_REQUIRED=false, and then the topic alone identifies the device.
+const TOPIC_PREFIX = process.env.MQTT_TOPIC_PREFIX || 'devices';
+const QOS = 1;
+
+let client = null;
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+const TOPIC_PATTERN = new RegExp(`^${escapeRegExp(TOPIC_PREFIX)}/([^/]+)/ota/(report|checkin|progress)$`);
+
+const commandTopic = (deviceId) => `${TOPIC_PREFIX}/${deviceId}/ota/cmd`;
+
+class MqttBridge {
+  static start({ url = process.env.MQTT_URL } = {}) {
+    if (!url || client) return client;
+
+    client = mqtt.connect(url, {
+      clientId: process.env.MQTT_CLIENT_ID || `ota-backend-${crypto.randomBytes(4).toString('hex')}`,
+      username: process.env.MQTT_USERNAME,
+      password: process.env.MQTT_PASSWORD
+    });
+
+    client.on('connect', () => {
+      const topics = [`${TOPIC_PREFIX}/+/ota/report`, `${TOPIC_PREFIX}/+/ota/checkin`, `${TOPIC_PREFIX}/+/ota/progress`];
+      client.subscribe(topics, { qos: QOS }, (error) => {
+        if (error) console.error('Error subscribing to MQTT topics:', error);
+        else console.log(`MQTT bridge subscribed to ${topics.join(', ')}`);
+      });
+    });
+    client.on('message', (topic, payload) => {
+      this.handleMessage(topic, payload).catch(error => console.error(`Error handling MQTT message on ${topic}:`, error));
+    });
+    client.on('error', (error) => console.error('MQTT bridge error:', error.message));
+
+    return client;
+  }
+
+  static async stop() {
+    if (!client) return;
+    const stopping = client;
+    client = null;
+    await stopping.endAsync();
+  }
+
+  static isConnected() {
+    return Boolean(client && client.connected);
+  }
+
+  // Publish a JSON command to a device. Returns false when the bridge isn't connected.
+  static async publish(deviceId, message) {
+    if (!this.isConnected()) return false;
+    await client.publishAsync(commandTopic(deviceId), JSON.stringify(message), { qos: QOS });
+    return true;
+  }
+
+  static async handleMessage(topic, payload) {
+    const match = TOPIC_PATTERN.exec(topic);
+    if (!match) return;
+    const [, deviceId, kind] = match;
+
+    let message;
+    try {
+      message = JSON.parse(payload.toString());
+    } catch (error) {
+      await this.publish(deviceId, { type: 'error', topic: kind, message: 'Payload must be JSON' });
+      return;
+    }
+    if (!message || typeof message !== 'object' || Array.isArray(message)) {
+      await this.publish(deviceId, { type: 'error', topic: kind, message: 'Payload must be a JSON object' });
+      return;
+    }
+
+    const opened = await this.openEnvelope(topic, deviceId, message);
+    if (opened.error) {
+      await this.publish(deviceId, { type: 'error', topic: kind, statusCode: opened.statusCode, message: opened.error });
+      return;
+    }
+
+    if (kind === 'report') {
+      await this.handleReport(deviceId, opened.message, opened.device);
+    } else if (kind === 'progress') {
+      await this.handleProgress(deviceId, opened.message, opened.device);
+    } else {
+      await this.handleCheckin(deviceId, opened.message);
+    }
+  }
+
+  // Authenticate a message and unwrap its payload.
+  // Returns { device, message }, or { error, statusCode } when the message must be rejected.
+  static async openEnvelope(topic, deviceId, envelope) {
+    if (envelope.keyId === undefined) {
+      if (DeviceCredentialService.AUTH_REQUIRED) {
+        return { error: 'Device credentials required', statusCode: 401 };
+      }
+      return { device: { deviceId, method: 'mqtt' }, message: envelope };
+    }
+
+    if (typeof envelope.payload !== 'string') {
+      return { error: 'payload must be the JSON text of the message', statusCode: 400 };
+    }
+
+    let result;
+    if (envelope.signature !== undefined) {
+      result = await DeviceCredentialService.verifySignature({
+        keyId: envelope.keyId,
+        timestamp: envelope.timestamp,
+        nonce: envelope.nonce,
+        signature: envelope.signature,
+        method: 'MQTT',
+        url: topic,
+        body: Buffer.from(envelope.payload)
+      }, 'mqtt-hmac');
+    } else if (envelope.secret !== undefined) {
+      result = await DeviceCredentialService.verifySecret(`${envelope.keyId}:${envelope.secret}`);
+    } else {
+      return { error: 'Messages with a keyId need a signature or secret', statusCode: 401 };
+    }
+
+    if (result.error) return { error: result.error, statusCode: 401 };
+    if (result.device.deviceId !== deviceId) {
+      return { error: 'Credentials do not belong to this device', statusCode: 403 };
+    }
+
+    let message;
+    try {
+      message = JSON.parse(envelope.payload);
+    } catch (error) {
+      return { error: 'payload must be JSON', statusCode: 400 };
+    }
+    if (!message || typeof message !== 'object' || Array.isArray(message)) {
+      return { error: 'payload must be a JSON object', statusCode: 400 };
+    }
+    return { device: result.device, message };
+  }
+
+  // Same processing as POST /ota-updates/report and /report/batch
+  static async handleReport(deviceId, message, device) {
+    const context = { device };
+
+    if (Array.isArray(message.reports)) {
+      const reports = message.reports.map(report => ({ deviceId, ...report }));
+      const { statusCode, body } = await OtaReportService.processBatch(reports, context);
+      await this.publish(deviceId, { type: 'report-batch-ack', statusCode, ...body });
+      return;
+    }
+
+    const { statusCode, body } = await OtaReportService.processReport({ deviceId, ...message }, context);
+    await this.publish(deviceId, {
+      type: 'report-ack',
+      reportId: message.reportId,
+      success: body.success,
+      duplicate: Boolean(body.duplicate),
+      statusCode,
+      message: body.message,
+      badge: body.data ? body.data.badge : undefined
+    });
+  }
+
+  // Same as POST /ota-updates/progress. Progress isn't acknowledged, only rejected.
+  static async handleProgress(deviceId, message, device) {
+    const { statusCode, body } = await OtaProgressService.recordProgress({ ...message, deviceId }, { device });
+    if (statusCode >= 400) {
+      await this.publish(deviceId, { type: 'error', topic: 'progress', statusCode, message: body.message });
+    }
+  }
+
+  // Same manifest as GET /ota/manifest
+  static async handleCheckin(deviceId, message) {
+    if (!message.currentVersion || String(message.currentVersion).trim() === '') {
+      await this.publish(deviceId, { type: 'error', topic: 'checkin', message: 'Missing required fields: currentVersion' });
+      return;
+    }
+
+    const picIds = Array.isArray(message.picIds) ? message.picIds.map(String) : [];
+    const optional = (value) => (value ? String(value).trim() : undefined);
+    const { found, manifest } = await OtaManifestService.buildManifest({
+      deviceId,
+      currentVersion: String(message.currentVersion).trim(),
+      currentSha256: optional(message.currentSha256),
+      picIds,
+      hardwareRevision: optional(message.hardwareRevision),
+      picModel: optional(message.picModel),
+      bootloaderVersion: optional(message.bootloaderVersion),
+      flashAddress: optional(message.flashAddress),
+      baseUrl: process.env.PUBLIC_BASE_URL || ''
+    });
+
+    if (!found) {
+      await this.publish(deviceId, { type: 'error', topic: 'checkin', message: 'Device not found' });
+      return;
+    }
+    await this.publish(deviceId, { type: 'manifest', ...manifest });
+  }
+
+  // Tell a device a new image is available so it checks in now instead of at its next poll
+  static async notifyFirmwareAvailable(firmware) {
+    try {
+      await this.publish(firmware.esp_id, {
+        type: 'update-available',
+        firmwareId: firmware._id,
+        version: firmware.version,
+        channel: firmware.channel,
+        mandatory: Boolean(firmware.mandatory)
+      });
+    } catch (error) {
+      // Devices still find the update at their next check-in
+      console.error(`Error notifying ${firmware.esp_id} over MQTT:`, error);
+    }
+  }
+}
+
+MqttBridge.commandTopic = commandTopic;
+
+module.exports = MqttBridge;
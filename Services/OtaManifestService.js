@@ -0,0 +1,108 @@
+const Device = require('../Models/DeviceModel');
+const FirmwareResolver = require('./FirmwareResolver');
+const FirmwareStorage = require('./FirmwareStorage');
+const DeltaPatchService = require('./DeltaPatchService');
+const FirmwareBundleService = require('./FirmwareBundleService');
+const FirmwareBundle = require('../Models/FirmwareBundleModel');
+const ReleaseNotesService = require('./ReleaseNotesService');
+const FlashEncryptionService = require('./FlashEncryptionService');
+const { compareVersions } = require('./VersionUtils');
+
+class OtaManifestService {
+  // Build the update manifest for a device check-in.
+  // Returns { found: false } when the device isn't registered.
+  static async buildManifest({ deviceId, currentVersion, currentSha256, picIds = [], hardwareRevision, picModel, bootloaderVersion, flashAddress, baseUrl = '' }) {
+    const device = await Device.findOne({ deviceId });
+    if (!device) {
+      return { found: false };
+    }
+
+    const context = { currentVersion, picIds, hardwareRevision, picModel, bootloaderVersion };
+    const target = await FirmwareResolver.resolveTarget(device, context);
+
+    const pinned = FirmwareResolver.isPinned(device);
+    const manifest = {
+      deviceId,
+      currentVersion,
+      update: false,
+      mandatory: false,
+      pinned,
+      targetVersion: null,
+      checkedAt: new Date()
+    };
+
+    if (!target) {
+      return { found: true, manifest };
+    }
+
+    // Pinned devices move to the pinned version in either direction (rollback included)
+    const comparison = compareVersions(currentVersion, target.version);
+    manifest.targetVersion = target.version;
+    manifest.update = pinned ? comparison !== 0 : comparison === -1;
+    if (!manifest.update) {
+      return { found: true, manifest };
+    }
+
+    Object.assign(manifest, {
+      mandatory: pinned || Boolean(target.mandatory),
+      downgrade: comparison === 1,
+      firmwareId: target._id,
+      downloadUrl: `${baseUrl}/firmware/download/${target._id}`,
+      size: await FirmwareStorage.getSize(target),
+      sha256: target.sha256 || null,
+      md5: target.md5 || null,
+      signature: target.signature || null,
+      signatureKeyId: target.signatureKeyId || null,
+      signatureAlgorithm: target.signatureAlgorithm || null,
+      releaseNotes: {
+        summary: ReleaseNotesService.summarize(target),
+        changelogUrl: `${baseUrl}/firmware/changelog/${encodeURIComponent(deviceId)}` +
+          `?from=${encodeURIComponent(currentVersion)}&to=${encodeURIComponent(target.version)}`
+      },
+      encryptedDownloadUrl: null,
+      delta: null,
+      bundle: null
+    });
+
+    // Devices with a flash encryption key can fetch the image already encrypted for their OTA partition
+    const address = flashAddress ? FlashEncryptionService.parseFlashAddress(flashAddress) : null;
+    if (address && address.isValid && device.flashEncryption && device.flashEncryption.configuredAt &&
+        FlashEncryptionService.supportsChip(target.imageInfo && target.imageInfo.chip)) {
+      manifest.encryptedDownloadUrl = `${manifest.downloadUrl}?encrypted=true&flashAddress=0x${address.flashAddress.toString(16)}`;
+    }
+
+    // Devices that send the SHA-256 of an image we still store can fetch a binary patch instead of the full image.
+    // The device must check fromSha256 against its running partition and fall back to downloadUrl otherwise.
+    try {
+      const patch = await DeltaPatchService.findDelta(target, { currentVersion, currentSha256 });
+      if (patch) {
+        manifest.delta = {
+          patchId: patch._id,
+          format: patch.format,
+          fromVersion: patch.fromVersion,
+          fromSha256: patch.fromSha256,
+          downloadUrl: `${baseUrl}/firmware/delta/${patch._id}`,
+          size: patch.sizeBytes,
+          sha256: patch.sha256
+        };
+      }
+    } catch (error) {
+      // A failed diff only costs bandwidth, the full image is still offered
+      console.error(`Error preparing delta patch for ${deviceId}:`, error);
+    }
+
+    // PIC images shipped with this firmware, in flashing order
+    const bundle = await FirmwareBundle.findOne({ firmware: target._id });
+    if (bundle) {
+      manifest.bundle = {
+        bundleId: bundle._id,
+        flashOrder: bundle.flashOrder,
+        components: FirmwareBundleService.componentsForPics(bundle, picIds, baseUrl)
+      };
+    }
+
+    return { found: true, manifest };
+  }
+}
+
+module.exports = OtaManifestService;
@@ -0,0 +1,138 @@
+const Device = require('../Models/DeviceModel');
+const OTAProgress = require('../Models/OTAProgressModel');
+const OtaReportService = require('./OtaReportService');
+const EventBus = require('./EventBus');
+require('dotenv').config();
+
+// Progress disappears this long after a device stops reporting it
+const PROGRESS_TTL_MS = parseInt(process.env.OTA_PROGRESS_TTL_MINUTES || '30', 10) * 60 * 1000;
+const STAGES = OTAProgress.schema.path('stage').enumValues;
+
+const isBlank = (value) => value === undefined || value === null || String(value).trim() === '';
+
+// Helper: optional positive integer; returns { isValid, value }
+const parseCount = (value, field) => {
+  if (isBlank(value)) return { isValid: true, value: undefined };
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < 1) {
+    return { isValid: false, error: `${field} must be a positive integer` };
+  }
+  return { isValid: true, value: number };
+};
+
+// Intermediate OTA progress shared by the HTTP route and the MQTT bridge. Only the latest
+// progress per device and PIC is kept; the final outcome still comes in as an OTA report.
+class OtaProgressService {
+  // Store a progress update. context.device is the authenticated device, if any.
+  // Returns { statusCode, body } for the response.
+  static async recordProgress(progress, context = {}) {
+    const { deviceId, pic_id, stage, percent, picIndex, picCount, targetVersion, reprogramming, message } = progress || {};
+
+    const missingFields = Object.entries({ deviceId, stage })
+      .filter(([, value]) => isBlank(value))
+      .map(([key]) => key);
+    if (missingFields.length > 0) {
+      return {
+        statusCode: 400,
+        body: { success: false, message: `Missing required fields: ${missingFields.join(', ')}` }
+      };
+    }
+
+    if (context.device && context.device.deviceId !== String(deviceId)) {
+      return {
+        statusCode: 403,
+        body: { success: false, message: 'Credentials do not belong to this device' }
+      };
+    }
+
+    if (!STAGES.includes(stage)) {
+      return { statusCode: 400, body: { success: false, message: `stage must be one of: ${STAGES.join(', ')}` } };
+    }
+
+    let percentValue;
+    if (!isBlank(percent)) {
+      percentValue = Number(percent);
+      if (!Number.isFinite(percentValue) || percentValue < 0 || percentValue > 100) {
+        return { statusCode: 400, body: { success: false, message: 'percent must be a number from 0 to 100' } };
+      }
+    }
+
+    const index = parseCount(picIndex, 'picIndex');
+    const count = parseCount(picCount, 'picCount');
+    const countError = index.error || count.error ||
+      (index.value && count.value && index.value > count.value ? 'picIndex cannot be greater than picCount' : null);
+    if (countError) {
+      return { statusCode: 400, body: { success: false, message: countError } };
+    }
+
+    const deviceTimestamp = OtaReportService.parseDeviceTimestamp(progress.deviceTimestamp);
+    if (!deviceTimestamp.isValid) {
+      return { statusCode: 400, body: { success: false, message: deviceTimestamp.error } };
+    }
+
+    if (!(await Device.exists({ deviceId: String(deviceId) }))) {
+      return { statusCode: 404, body: { success: false, message: 'Device not found' } };
+    }
+
+    const now = new Date();
+    const key = { deviceId: String(deviceId), pic_id: isBlank(pic_id) ? null : String(pic_id).trim() };
+    const fields = {
+      stage,
+      percent: percentValue,
+      picIndex: index.value,
+      picCount: count.value,
+      targetVersion: isBlank(targetVersion) ? undefined : String(targetVersion).trim(),
+      reprogramming: OtaReportService.parseBoolean(reprogramming),
+      message: isBlank(message) ? undefined : String(message).trim().slice(0, 200),
+      deviceTimestamp: deviceTimestamp.timestamp || undefined,
+      updatedAt: now,
+      expiresAt: new Date(now.getTime() + PROGRESS_TTL_MS)
+    };
+    const unset = Object.keys(fields).filter(field => fields[field] === undefined);
+    unset.forEach(field => delete fields[field]);
+
+    // Progress sent over a flaky link can arrive out of order; with a deviceTimestamp an older
+    // update never replaces a newer one (the upsert then collides with the existing document)
+    const filter = deviceTimestamp.timestamp
+      ? { ...key, $or: [{ deviceTimestamp: { $exists: false } }, { deviceTimestamp: { $lte: deviceTimestamp.timestamp } }] }
+      : key;
+
+    const update = { $set: fields };
+    if (unset.length > 0) {
+      update.$unset = Object.fromEntries(unset.map(field => [field, '']));
+    }
+
+    let stored;
+    try {
+      stored = await OTAProgress.findOneAndUpdate(filter, update, { upsert: true, new: true, runValidators: true }).lean();
+    } catch (error) {
+      if (error.code !== 11000) throw error;
+      return { statusCode: 200, body: { success: true, stale: true, message: 'Newer progress already recorded' } };
+    }
+
+    await EventBus.publishDeviceEvent('ota-progress', key.deviceId, {
+      deviceId: key.deviceId,
+      pic_id: key.pic_id,
+      stage: stored.stage,
+      percent: stored.percent,
+      picIndex: stored.picIndex,
+      picCount: stored.picCount,
+      targetVersion: stored.targetVersion,
+      reprogramming: stored.reprogramming,
+      message: stored.message,
+      updatedAt: stored.updatedAt
+    });
+
+    return { statusCode: 200, body: { success: true, message: 'Progress recorded', data: stored } };
+  }
+
+  // Current progress of a device's OTA run, one entry per PIC
+  static async getProgress(deviceId) {
+    return OTAProgress.find({ deviceId, expiresAt: { $gt: new Date() } })
+      .sort({ picIndex: 1, pic_id: 1 })
+      .select('-__v -expiresAt')
+      .lean();
+  }
+}
+
+module.exports = OtaProgressService;
@@ -0,0 +1,449 @@
+const OTAUpdate = require('../Models/OTAUpdateModel');
+const StatusManagement = require('../Models/StatusManagementModel');
+const DashboardStats = require('../Models/DashboardStatsModel');
+const OTAProgress = require('../Models/OTAProgressModel');
+const { compareVersions } = require('./VersionUtils');
+const { supportsTransactions, runInTransaction } = require('./MongoTransactions');
+const EventBus = require('./EventBus');
+require('dotenv').config();
+
+// Versioned DashboardStats updates retried after a concurrent change before giving up
+const MAX_CONFLICT_RETRIES = 5;
+const BUCKETS = ['success', 'failure', 'other'];
+
+// Helper: safely parse truthy/falsey payloads into booleans
+const parseBoolean = (value) => {
+  if (typeof value === 'boolean') return value;
+  if (typeof value === 'string') {
+    const normalized = value.trim().toLowerCase();
+    if (normalized === 'true') return true;
+    if (normalized === 'false') return false;
+    if (normalized === '1') return true;
+    if (normalized === '0') return false;
+  }
+  if (typeof value === 'number') {
+    if (value === 1) return true;
+    if (value === 0) return false;
+  }
+  return Boolean(value);
+};
+
+// Helper: local midnight of the day a report belongs to
+const startOfLocalDay = (date) => {
+  const day = new Date(date);
+  return new Date(day.getFullYear(), day.getMonth(), day.getDate(), 0, 0, 0, 0);
+};
+
+// Helper: copy of a day's record lists with every bucket present
+const normalizeRecords = (records) => {
+  const normalized = {};
+  BUCKETS.forEach(bucket => {
+    normalized[bucket] = records && Array.isArray(records[bucket]) ? [...records[bucket]] : [];
+  });
+  return normalized;
+};
+
+// Reports whose device clock is further ahead than this are rejected
+const MAX_CLOCK_SKEW_MS = parseInt(process.env.OTA_REPORT_MAX_CLOCK_SKEW_SECONDS || '300', 10) * 1000;
+// Upper bound for POST /report/batch
+const BATCH_LIMIT = parseInt(process.env.OTA_REPORT_BATCH_LIMIT || '100', 10);
+
+// Helper: device timestamps may be ISO strings or unix time in seconds or milliseconds
+const parseDeviceTimestamp = (value) => {
+  if (value === undefined || value === null || String(value).trim() === '') return { isValid: true, timestamp: null };
+  let date;
+  if (typeof value === 'number' || /^\d+$/.test(String(value).trim())) {
+    const number = Number(value);
+    date = new Date(number < 1e12 ? number * 1000 : number);
+  } else {
+    date = new Date(String(value));
+  }
+  if (isNaN(date.getTime())) {
+    return { isValid: false, error: 'deviceTimestamp must be an ISO date or unix time' };
+  }
+  if (date.getTime() > Date.now() + MAX_CLOCK_SKEW_MS) {
+    return { isValid: false, error: 'deviceTimestamp is in the future' };
+  }
+  return { isValid: true, timestamp: date };
+};
+
+// Helper: the report already stored for a retried submission, if any
+const findDuplicateReport = (deviceId, reportId, pic_id, timestamp) => {
+  if (reportId) return OTAUpdate.findOne({ deviceId, reportId });
+  if (timestamp) return OTAUpdate.findOne({ deviceId, pic_id, timestamp });
+  return null;
+};
+
+const duplicateResult = (otaUpdate) => ({
+  statusCode: 200,
+  body: {
+    success: true,
+    duplicate: true,
+    message: 'Duplicate report ignored',
+    data: {
+      otaUpdate,
+      updateType: otaUpdate.badge,
+      badge: otaUpdate.badge,
+      reprogramming: otaUpdate.reprogramming,
+      timestamp: otaUpdate.timestamp
+    }
+  }
+});
+
+// OTA outcome ingestion shared by the HTTP routes and the MQTT bridge
+class OtaReportService {
+  // Classify one report, store it and update the dashboard projection.
+  // Retries are recognised by reportId, or by pic_id + deviceTimestamp, and are not applied twice.
+  // context.device is the authenticated device, if any. Returns { statusCode, body } for the response.
+  static async processReport(report, context = {}) {
+    const {
+      pic_id,
+      deviceId,
+      status,
+      previousVersion,
+      updatedVersion,
+      reprogramming: reprogrammingInput
+    } = report || {};
+
+    const requiredFieldMap = {
+      pic_id,
+      deviceId,
+      status,
+      previousVersion,
+      updatedVersion
+    };
+
+    const missingFields = Object.entries(requiredFieldMap)
+      .filter(([, value]) => value === undefined || value === null || String(value).trim() === '')
+      .map(([key]) => key);
+
+    if (reprogrammingInput === undefined || reprogrammingInput === null || String(reprogrammingInput).trim() === '') {
+      missingFields.push('reprogramming');
+    }
+
+    if (missingFields.length > 0) {
+      return {
+        statusCode: 400,
+        body: { success: false, message: `Missing required fields: ${missingFields.join(', ')}` }
+      };
+    }
+
+    if (context.device && context.device.deviceId !== String(deviceId)) {
+      return {
+        statusCode: 403,
+        body: { success: false, message: 'Credentials do not belong to this device' }
+      };
+    }
+
+    const reportId = report.reportId !== undefined && report.reportId !== null && String(report.reportId).trim() !== ''
+      ? String(report.reportId).trim()
+      : null;
+    const deviceTimestamp = parseDeviceTimestamp(report.deviceTimestamp);
+    if (!deviceTimestamp.isValid) {
+      return { statusCode: 400, body: { success: false, message: deviceTimestamp.error } };
+    }
+
+    const existing = await findDuplicateReport(deviceId, reportId, pic_id, deviceTimestamp.timestamp);
+    if (existing) {
+      return duplicateResult(existing);
+    }
+
+    const sanitizedPreviousVersion = String(previousVersion).trim();
+    const sanitizedUpdatedVersion = String(updatedVersion).trim();
+    const isReprogramming = parseBoolean(reprogrammingInput);
+
+    const statusManagement = await StatusManagement.findOne({ deviceId: deviceId });
+    if (!statusManagement) {
+      return {
+        statusCode: 404,
+        body: { success: false, message: 'Status management configuration not found for this device' }
+      };
+    }
+
+    const statusCodes = Array.isArray(statusManagement.statusCodes) ? statusManagement.statusCodes : [];
+    const statusCode = statusCodes.find(sc => sc.code.toString() === status.toString());
+    if (!statusCode) {
+      return {
+        statusCode: 404,
+        body: { success: false, message: 'Status code not found in status management configuration' }
+      };
+    }
+
+    const classification = this.classify({
+      baseBadge: statusCode.badge,
+      reprogramming: isReprogramming,
+      previousVersion: sanitizedPreviousVersion,
+      updatedVersion: sanitizedUpdatedVersion
+    });
+
+    // The device's own clock when it sent one, so buffered reports land on the day they happened
+    const timestamp = deviceTimestamp.timestamp || new Date();
+
+    const result = await this.recordReport({
+      pic_id,
+      deviceId,
+      reportId: reportId || undefined,
+      deviceTimestamp: deviceTimestamp.timestamp || undefined,
+      status,
+      previousVersion: sanitizedPreviousVersion,
+      updatedVersion: sanitizedUpdatedVersion,
+      statusMessage: statusCode.message,
+      badge: classification.badge,
+      color: statusCode.color,
+      reprogramming: isReprogramming,
+      recovered: classification.badge === 'failure' ? false : true,
+      timestamp: timestamp
+    }, classification);
+
+    if (result.duplicate) {
+      return duplicateResult(result.duplicate);
+    }
+
+    // The run is over for this PIC, so its live progress no longer applies
+    try {
+      await OTAProgress.deleteOne({ deviceId: String(deviceId), pic_id: String(pic_id).trim() });
+    } catch (progressError) {
+      console.error('Error clearing OTA progress:', progressError);
+    }
+
+    await EventBus.publishDeviceEvent('ota-report', deviceId, {
+      otaUpdateId: result.otaUpdate._id,
+      deviceId,
+      pic_id,
+      status,
+      statusMessage: statusCode.message,
+      badge: classification.badge,
+      previousVersion: sanitizedPreviousVersion,
+      updatedVersion: sanitizedUpdatedVersion,
+      reprogramming: isReprogramming,
+      timestamp
+    });
+
+    return {
+      statusCode: 200,
+      body: {
+        success: true,
+        message: 'OTA update report processed successfully',
+        data: {
+          otaUpdate: result.otaUpdate,
+          dashboardStats: result.dashboardStats,
+          updateType: classification.badge,
+          badge: classification.badge,
+          reprogramming: isReprogramming,
+          timestamp: timestamp
+        }
+      }
+    };
+  }
+
+  // Decide how a report counts; depends only on its arguments. baseBadge comes from the device's status code.
+  // Returns { badge, bucket, reason }, where bucket is the DashboardStats list it goes to (null: not counted).
+  static classify({ baseBadge, reprogramming, previousVersion, updatedVersion }) {
+    const badge = BUCKETS.includes(baseBadge) ? baseBadge : 'other';
+    const comparison = compareVersions(previousVersion, updatedVersion);
+
+    // Reprogramming a PIC isn't an update, even when it succeeds
+    if (reprogramming && badge === 'success') {
+      return { badge: 'other', bucket: 'other', reason: 'reprogramming-success' };
+    }
+    // The PIC was already on the target version
+    if (!reprogramming && comparison === 0 && badge === 'other') {
+      return { badge: 'other', bucket: 'other', reason: 'already-updated' };
+    }
+    if (!reprogramming && comparison === -1) {
+      return { badge, bucket: badge, reason: 'upgrade' };
+    }
+    return { badge, bucket: null, reason: 'not-counted' };
+  }
+
+  // Apply a classified report to one day's record lists without mutating them.
+  // A success recovers the PIC's open failure; a PIC is only counted as failed once until it recovers.
+  // Returns { records, changed, recoveredFailure }.
+  static applyToDashboard(records, classification, record) {
+    const next = normalizeRecords(records);
+    if (!classification.bucket) {
+      return { records: next, changed: false, recoveredFailure: false };
+    }
+
+    const isOpenFailure = (r) => r.picID === record.picID && r.deviceId === record.deviceId && r.recovered === false;
+
+    if (classification.bucket === 'success') {
+      const index = next.failure.findIndex(isOpenFailure);
+      if (index !== -1) {
+        next.failure[index] = { ...next.failure[index], recovered: true };
+      }
+      next.success.push({ ...record, recovered: true });
+      return { records: next, changed: true, recoveredFailure: index !== -1 };
+    }
+
+    if (classification.bucket === 'failure') {
+      if (next.failure.some(isOpenFailure)) {
+        return { records: next, changed: false, recoveredFailure: false };
+      }
+      next.failure.push({ ...record, recovered: false });
+      return { records: next, changed: true, recoveredFailure: false };
+    }
+
+    next.other.push({ ...record, recovered: true });
+    return { records: next, changed: true, recoveredFailure: false };
+  }
+
+  static toDashboardRecord(otaUpdate, date) {
+    return {
+      picID: otaUpdate.pic_id,
+      deviceId: otaUpdate.deviceId,
+      status: otaUpdate.status,
+      statusMessage: otaUpdate.statusMessage,
+      badge: otaUpdate.badge,
+      previousVersion: otaUpdate.previousVersion,
+      updatedVersion: otaUpdate.updatedVersion,
+      reprogramming: otaUpdate.reprogramming,
+      timestamp: otaUpdate.timestamp,
+      date
+    };
+  }
+
+  // Store the report and apply it to the day's DashboardStats as one unit: in a transaction where the
+  // server supports them, otherwise by removing the report again when the dashboard update fails.
+  // Returns { otaUpdate, dashboardStats }, or { duplicate } when a retry of the report got there first.
+  static async recordReport(fields, classification) {
+    try {
+      if (await supportsTransactions()) {
+        return await runInTransaction(async (session) => {
+          const [otaUpdate] = await OTAUpdate.create([fields], { session });
+          const dashboardStats = await this.updateDashboard(otaUpdate, classification, session);
+          return { otaUpdate, dashboardStats };
+        });
+      }
+
+      const otaUpdate = await OTAUpdate.create(fields);
+      try {
+        const dashboardStats = await this.updateDashboard(otaUpdate, classification, null);
+        return { otaUpdate, dashboardStats };
+      } catch (error) {
+        await OTAUpdate.deleteOne({ _id: otaUpdate._id });
+        throw error;
+      }
+    } catch (error) {
+      // The unique indexes settle concurrent retries: only the first insert reaches the dashboard
+      if (error.code === 11000) {
+        const duplicate = await findDuplicateReport(fields.deviceId, fields.reportId, fields.pic_id, fields.timestamp);
+        if (duplicate) return { duplicate };
+      }
+      throw error;
+    }
+  }
+
+  // Apply a stored report to its day's DashboardStats. Updates are conditional on the document
+  // version (__v), so a concurrent report for the same device is re-read and re-applied, never lost.
+  static async updateDashboard(otaUpdate, classification, session) {
+    if (!classification.bucket) return null;
+
+    const date = startOfLocalDay(otaUpdate.timestamp);
+    const endOfDay = new Date(date);
+    endOfDay.setDate(endOfDay.getDate() + 1);
+    const dayQuery = { deviceId: otaUpdate.deviceId, 'stats.date': { $gte: date, $lt: endOfDay } };
+    const record = this.toDashboardRecord(otaUpdate, date);
+
+    for (let attempt = 0; attempt < MAX_CONFLICT_RETRIES; attempt++) {
+      const stats = await DashboardStats.findOne(dayQuery).session(session).lean();
+      const { records, changed, recoveredFailure } = this.applyToDashboard(stats && stats.stats && stats.stats.records, classification, record);
+      if (!changed) return stats;
+
+      if (!stats) {
+        // Create the day's document, then apply the report to it on the next pass
+        await DashboardStats.findOneAndUpdate(
+          dayQuery,
+          { $setOnInsert: { 'stats.date': date, 'stats.records': normalizeRecords(null) } },
+          { upsert: true, session }
+        );
+        continue;
+      }
+
+      const result = await DashboardStats.updateOne(
+        { _id: stats._id, __v: stats.__v ?? null },
+        { $set: { 'stats.date': date, 'stats.records': records }, $inc: { __v: 1 } },
+        { session }
+      );
+      if (result.modifiedCount !== 1) continue;
+
+      if (recoveredFailure) {
+        await OTAUpdate.updateMany(
+          { pic_id: otaUpdate.pic_id, deviceId: otaUpdate.deviceId, badge: 'failure', recovered: false },
+          { $set: { recovered: true } },
+          { session }
+        );
+      }
+      return { ...stats, __v: (stats.__v || 0) + 1, stats: { date, records } };
+    }
+
+    throw new Error(`DashboardStats for ${otaUpdate.deviceId} kept changing concurrently; report not applied`);
+  }
+
+  // Apply reports buffered while the device was offline, oldest first. Each report needs a deviceTimestamp.
+  // Returns { statusCode, body } with per-report results in request order.
+  static async processBatch(reports, context = {}) {
+    if (!Array.isArray(reports) || reports.length === 0) {
+      return { statusCode: 400, body: { success: false, message: 'reports must be a non-empty array' } };
+    }
+    if (reports.length > BATCH_LIMIT) {
+      return { statusCode: 400, body: { success: false, message: `At most ${BATCH_LIMIT} reports can be submitted at once` } };
+    }
+
+    const results = new Array(reports.length);
+    const queue = [];
+    reports.forEach((report, index) => {
+      const deviceTimestamp = parseDeviceTimestamp(report && report.deviceTimestamp);
+      if (!deviceTimestamp.isValid || !deviceTimestamp.timestamp) {
+        results[index] = {
+          index,
+          success: false,
+          statusCode: 400,
+          message: deviceTimestamp.error || 'deviceTimestamp is required for batched reports'
+        };
+      } else {
+        queue.push({ index, report, time: deviceTimestamp.timestamp.getTime() });
+      }
+    });
+    queue.sort((a, b) => a.time - b.time || a.index - b.index);
+
+    for (const { index, report } of queue) {
+      try {
+        const { statusCode, body } = await this.processReport(report, context);
+        results[index] = {
+          index,
+          reportId: report.reportId,
+          success: body.success,
+          duplicate: Boolean(body.duplicate),
+          statusCode,
+          message: body.message,
+          badge: body.data ? body.data.badge : undefined
+        };
+      } catch (error) {
+        console.error('Error processing batched OTA update report:', error);
+        results[index] = { index, reportId: report.reportId, success: false, statusCode: 500, message: error.message };
+      }
+    }
+
+    return {
+      statusCode: 200,
+      body: {
+        success: results.every(result => result.success),
+        message: 'Batch processed',
+        summary: {
+          total: results.length,
+          processed: results.filter(result => result.success && !result.duplicate).length,
+          duplicates: results.filter(result => result.duplicate).length,
+          failed: results.filter(result => !result.success).length
+        },
+        results
+      }
+    };
+  }
+}
+
+OtaReportService.parseBoolean = parseBoolean;
+OtaReportService.parseDeviceTimestamp = parseDeviceTimestamp;
+OtaReportService.startOfLocalDay = startOfLocalDay;
+
+module.exports = OtaReportService;
@@ -0,0 +1,18 @@
+// Release channels ordered from least to most stable. Firmware moves dev -> beta -> stable.
+const CHANNELS = ['dev', 'beta', 'stable'];
+const DEFAULT_CHANNEL = 'stable';
+
+const isValidChannel = (channel) => CHANNELS.includes(channel);
+
+const nextChannel = (channel) => {
+  const index = CHANNELS.indexOf(channel || DEFAULT_CHANNEL);
+  return index >= 0 && index < CHANNELS.length - 1 ? CHANNELS[index + 1] : null;
+};
+
+// A device receives builds from its own channel and every more stable one:
+// dev devices get everything, beta devices get beta and stable, stable devices only stable.
+const acceptsChannel = (deviceChannel, firmwareChannel) => {
+  return CHANNELS.indexOf(firmwareChannel || DEFAULT_CHANNEL) >= CHANNELS.indexOf(deviceChannel || DEFAULT_CHANNEL);
+};
+
+module.exports = { CHANNELS, DEFAULT_CHANNEL, isValidChannel, nextChannel, acceptsChannel };
@@ -0,0 +1,96 @@
+const FirmwareModel = require('../Models/FirmwareTableModel');
+const { compareVersions } = require('./VersionUtils');
+
+const LIST_FIELDS = ['features', 'fixes', 'knownIssues'];
+const MAX_SUMMARY_LENGTH = 200;
+
+// Helper: accept an array of strings or a newline separated string
+const toEntries = (value) => {
+  if (value === undefined || value === null || value === '') return [];
+  const values = Array.isArray(value) ? value : String(value).split('\n');
+  return values.map(v => String(v).trim()).filter(v => v !== '');
+};
+
+class ReleaseNotesService {
+  // Normalise release notes from an upload or edit request (object or JSON string).
+  // Returns { isValid: true, releaseNotes } or { isValid: false, error }.
+  static parse(raw) {
+    if (raw === undefined || raw === null || raw === '') {
+      return { isValid: true, releaseNotes: undefined };
+    }
+
+    let notes = raw;
+    if (typeof raw === 'string') {
+      try {
+        notes = JSON.parse(raw);
+      } catch (error) {
+        return { isValid: false, error: 'releaseNotes must be valid JSON' };
+      }
+    }
+    if (typeof notes !== 'object' || Array.isArray(notes)) {
+      return { isValid: false, error: 'releaseNotes must be an object' };
+    }
+
+    const summary = notes.summary ? String(notes.summary).trim() : '';
+    if (summary.length > MAX_SUMMARY_LENGTH) {
+      return { isValid: false, error: `releaseNotes.summary must be at most ${MAX_SUMMARY_LENGTH} characters` };
+    }
+
+    const releaseNotes = { summary, body: notes.body ? String(notes.body) : '' };
+    LIST_FIELDS.forEach(field => {
+      releaseNotes[field] = toEntries(notes[field]);
+    });
+    return { isValid: true, releaseNotes };
+  }
+
+  // One line for places with little room, such as the device manifest
+  static summarize(firmware) {
+    const notes = firmware.releaseNotes || {};
+    if (notes.summary) return notes.summary;
+
+    const counts = [];
+    if (notes.features && notes.features.length > 0) counts.push(`${notes.features.length} feature(s)`);
+    if (notes.fixes && notes.fixes.length > 0) counts.push(`${notes.fixes.length} fix(es)`);
+    if (counts.length > 0) return counts.join(', ');
+
+    const description = (firmware.description || '').split('\n')[0].trim();
+    return description.length > MAX_SUMMARY_LENGTH ? `${description.slice(0, MAX_SUMMARY_LENGTH - 1)}…` : description;
+  }
+
+  // Everything that changed after `from` up to and including `to` for one device, oldest first.
+  // Known issues are taken from the target version only, since later releases may have fixed earlier ones.
+  static async buildChangelog(esp_id, { from, to, includeUnreleased = false } = {}) {
+    const query = includeUnreleased ? { esp_id } : FirmwareModel.releasedOnly({ esp_id });
+    const firmwares = await FirmwareModel.find(query)
+      .select('version description releaseNotes channel status uploadedDate releasedAt');
+
+    const inRange = firmwares
+      .filter(firmware => !from || compareVersions(firmware.version, from) === 1)
+      .filter(firmware => !to || compareVersions(firmware.version, to) !== 1)
+      .sort((a, b) => compareVersions(a.version, b.version) || (a.uploadedDate - b.uploadedDate));
+
+    const target = inRange[inRange.length - 1];
+    const targetNotes = (target && target.releaseNotes) || {};
+
+    return {
+      esp_id,
+      from: from || null,
+      to: target ? target.version : (to || null),
+      versions: inRange.map(firmware => ({
+        version: firmware.version,
+        channel: firmware.channel,
+        releasedAt: firmware.releasedAt || firmware.uploadedDate,
+        summary: this.summarize(firmware),
+        description: firmware.description,
+        releaseNotes: firmware.releaseNotes
+      })),
+      features: inRange.flatMap(firmware => ((firmware.releaseNotes && firmware.releaseNotes.features) || [])
+        .map(entry => ({ version: firmware.version, entry }))),
+      fixes: inRange.flatMap(firmware => ((firmware.releaseNotes && firmware.releaseNotes.fixes) || [])
+        .map(entry => ({ version: firmware.version, entry }))),
+      knownIssues: targetNotes.knownIssues || []
+    };
+  }
+}
+
+module.exports = ReleaseNotesService;
@@ -0,0 +1,208 @@
+const crypto = require('crypto');
+const RolloutCampaign = require('../Models/RolloutCampaignModel');
+const Device = require('../Models/DeviceModel');
+const OTAUpdate = require('../Models/OTAUpdateModel');
+require('dotenv').config();
+
+// Campaigns in these states still control who may receive their version
+const GATING_STATUSES = ['active', 'paused', 'halted'];
+const EVALUATION_INTERVAL_MINUTES = parseInt(process.env.ROLLOUT_EVALUATION_INTERVAL_MINUTES || '5', 10);
+
+let schedulerHandle = null;
+
+class RolloutService {
+  // Deterministic bucket in [0, 100) for a device within a campaign. Salting with the
+  // campaign id means each campaign samples a different slice of the fleet.
+  static getBucket(campaignId, deviceId) {
+    const hash = crypto.createHash('sha256').update(`${campaignId}:${deviceId}`).digest();
+    return (hash.readUInt32BE(0) / 0x100000000) * 100;
+  }
+
+  static getCurrentPercentage(campaign) {
+    const stage = campaign.stages[campaign.currentStage];
+    return stage ? stage.percentage : 0;
+  }
+
+  static isDeviceTargeted(campaign, device) {
+    const { target } = campaign;
+    switch (target.type) {
+      case 'project':
+        return Boolean(device.project) && String(device.project) === String(target.project);
+      case 'devices':
+        return (target.deviceIds || []).includes(device.deviceId);
+      case 'tag':
+        return (device.tags || []).includes(target.tag);
+      default:
+        return false;
+    }
+  }
+
+  static async findTargetDevices(campaign) {
+    const { target } = campaign;
+    switch (target.type) {
+      case 'project':
+        return Device.find({ project: target.project }).select('deviceId project tags');
+      case 'devices':
+        return Device.find({ deviceId: { $in: target.deviceIds || [] } }).select('deviceId project tags');
+      case 'tag':
+        return Device.find({ tags: target.tag }).select('deviceId project tags');
+      default:
+        return [];
+    }
+  }
+
+  // Whether two target selectors share at least one device
+  static async targetsOverlap(a, b) {
+    if (a.type === b.type) {
+      if (a.type === 'project') return String(a.project) === String(b.project);
+      if (a.type === 'tag') return a.tag === b.tag;
+      if (a.type === 'devices') return (a.deviceIds || []).some(id => (b.deviceIds || []).includes(id));
+    }
+    const [first, second] = await Promise.all([
+      this.findTargetDevices({ target: a }),
+      this.findTargetDevices({ target: b })
+    ]);
+    const ids = new Set(first.map(d => d.deviceId));
+    return second.some(d => ids.has(d.deviceId));
+  }
+
+  // Unfinished campaigns for the given versions, keyed by version
+  static async getRolloutGates(versions) {
+    const campaigns = await RolloutCampaign.find({
+      version: { $in: versions },
+      status: { $in: GATING_STATUSES }
+    });
+
+    const gates = new Map();
+    campaigns.forEach(campaign => {
+      if (!gates.has(campaign.version)) gates.set(campaign.version, []);
+      gates.get(campaign.version).push(campaign);
+    });
+    return gates;
+  }
+
+  // A campaign gates the image it was created for (or, without one, its version) and only on the
+  // devices it targets. Other devices, e.g. in other projects with their own images, are unaffected.
+  static gatesFirmware(campaign, firmware, device) {
+    if (campaign.firmware && String(campaign.firmware) !== String(firmware._id)) return false;
+    return this.isDeviceTargeted(campaign, device);
+  }
+
+  // An image under rollout is only served to targeted devices whose bucket falls inside the
+  // current stage. Images without an unfinished campaign for the device are available.
+  static isFirmwareAvailable(firmware, device, gates) {
+    const campaigns = (gates.get(firmware.version) || []).filter(campaign => this.gatesFirmware(campaign, firmware, device));
+    if (campaigns.length === 0) return true;
+
+    return campaigns.some(campaign => {
+      if (campaign.status === 'halted') return false;
+      return this.getBucket(campaign._id, device.deviceId) < this.getCurrentPercentage(campaign);
+    });
+  }
+
+  // Outcome counts from OTA reports for the campaign's version on targeted devices since it started
+  static async getCampaignStats(campaign) {
+    const devices = await this.findTargetDevices(campaign);
+    const deviceIds = devices.map(d => d.deviceId);
+    const percentage = this.getCurrentPercentage(campaign);
+    const since = campaign.createdAt || new Date(0);
+
+    const baseQuery = {
+      deviceId: { $in: deviceIds },
+      updatedVersion: campaign.version,
+      timestamp: { $gte: since }
+    };
+
+    const [success, failure] = await Promise.all([
+      OTAUpdate.countDocuments({ ...baseQuery, badge: 'success' }),
+      OTAUpdate.countDocuments({ ...baseQuery, badge: 'failure' })
+    ]);
+
+    const outcomes = success + failure;
+    return {
+      targetedDevices: deviceIds.length,
+      devicesInCurrentStage: deviceIds.filter(id => this.getBucket(campaign._id, id) < percentage).length,
+      currentPercentage: percentage,
+      success,
+      failure,
+      failureRatio: outcomes > 0 ? failure / outcomes : 0
+    };
+  }
+
+  static recordHistory(campaign, action, { reason, userId } = {}) {
+    campaign.history.push({
+      action,
+      stage: campaign.currentStage,
+      percentage: this.getCurrentPercentage(campaign),
+      reason,
+      userId
+    });
+  }
+
+  static async advance(campaign, { reason, userId } = {}) {
+    if (campaign.currentStage >= campaign.stages.length - 1) {
+      campaign.status = 'completed';
+      this.recordHistory(campaign, 'completed', { reason, userId });
+    } else {
+      campaign.currentStage += 1;
+      campaign.stageStartedAt = new Date();
+      this.recordHistory(campaign, 'advanced', { reason, userId });
+    }
+    await campaign.save();
+    return campaign;
+  }
+
+  static async halt(campaign, { reason, userId } = {}) {
+    campaign.status = 'halted';
+    campaign.haltReason = reason;
+    this.recordHistory(campaign, 'halted', { reason, userId });
+    await campaign.save();
+    return campaign;
+  }
+
+  // Halt campaigns whose failure ratio is over threshold, advance those whose soak period elapsed
+  static async evaluateCampaigns() {
+    const campaigns = await RolloutCampaign.find({ status: 'active' });
+    const results = [];
+
+    for (const campaign of campaigns) {
+      try {
+        const stats = await this.getCampaignStats(campaign);
+        const outcomes = stats.success + stats.failure;
+
+        if (outcomes >= campaign.minReports && stats.failureRatio > campaign.failureThreshold) {
+          const ratio = (stats.failureRatio * 100).toFixed(1);
+          await this.halt(campaign, {
+            reason: `Failure ratio ${ratio}% exceeded threshold of ${campaign.failureThreshold * 100}%`
+          });
+          results.push({ campaignId: campaign._id, action: 'halted', stats });
+          continue;
+        }
+
+        const stage = campaign.stages[campaign.currentStage];
+        const soakEndsAt = new Date(campaign.stageStartedAt.getTime() + (stage ? stage.soakMinutes : 0) * 60 * 1000);
+        if (campaign.autoAdvance && new Date() >= soakEndsAt) {
+          await this.advance(campaign, { reason: 'Soak period elapsed' });
+          results.push({ campaignId: campaign._id, action: campaign.status === 'completed' ? 'completed' : 'advanced', stats });
+          continue;
+        }
+
+        results.push({ campaignId: campaign._id, action: 'none', stats });
+      } catch (error) {
+        console.error(`Error evaluating rollout campaign ${campaign._id}:`, error);
+        results.push({ campaignId: campaign._id, action: 'error', error: error.message });
+      }
+    }
+
+    return results;
+  }
+
+  static startScheduler() {
+    if (schedulerHandle || EVALUATION_INTERVAL_MINUTES <= 0) return;
+    schedulerHandle = setInterval(() => {
+      this.evaluateCampaigns().catch(error => console.error('Error evaluating rollout campaigns:', error));
+    }, EVALUATION_INTERVAL_MINUTES * 60 * 1000);
+  }
+}
+
+module.exports = RolloutService;
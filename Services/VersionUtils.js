@@ -0,0 +1,101 @@
+// Shared firmware version helpers used by OTA report classification, version listings and firmware resolution.
+// Precedence follows SemVer 2.0 (https://semver.org/#spec-item-11). Lenient mode, used for comparisons,
+// also accepts the legacy forms devices already report: a leading "v", fewer or more than three
+// numeric parts ("15.8", "1.2.3.4") and leading zeros. Missing numeric parts count as 0.
+
+// Official SemVer 2.0 grammar
+const STRICT_PATTERN = /^(0|[1-9]\d*)\.(0|[1-9]\d*)\.(0|[1-9]\d*)(?:-((?:0|[1-9]\d*|\d*[a-zA-Z-][0-9a-zA-Z-]*)(?:\.(?:0|[1-9]\d*|\d*[a-zA-Z-][0-9a-zA-Z-]*))*))?(?:\+([0-9a-zA-Z-]+(?:\.[0-9a-zA-Z-]+)*))?$/;
+const LENIENT_PATTERN = /^v?(\d+(?:\.\d+)*)(?:-([0-9a-zA-Z-]+(?:\.[0-9a-zA-Z-]+)*))?(?:\+([0-9a-zA-Z-]+(?:\.[0-9a-zA-Z-]+)*))?$/i;
+
+const isNumeric = (identifier) => /^\d+$/.test(identifier);
+
+// Compare digit strings without converting them, so arbitrarily large parts stay exact
+const compareNumeric = (a, b) => {
+  const left = a.replace(/^0+(?=\d)/, '');
+  const right = b.replace(/^0+(?=\d)/, '');
+  if (left.length !== right.length) return left.length > right.length ? 1 : -1;
+  if (left === right) return 0;
+  return left > right ? 1 : -1;
+};
+
+// Parse a version string. Returns null when it isn't a version in the requested mode.
+// { release: ['1', '2', '0'], prerelease: ['rc', '1'], build: ['abc'] }
+const parseVersion = (version, { strict = false } = {}) => {
+  if (version === undefined || version === null) return null;
+  const value = String(version).trim();
+
+  if (strict) {
+    const match = STRICT_PATTERN.exec(value);
+    if (!match) return null;
+    return {
+      release: [match[1], match[2], match[3]],
+      prerelease: match[4] ? match[4].split('.') : [],
+      build: match[5] ? match[5].split('.') : []
+    };
+  }
+
+  const match = LENIENT_PATTERN.exec(value);
+  if (!match) return null;
+  return {
+    release: match[1].split('.'),
+    prerelease: match[2] ? match[2].split('.') : [],
+    build: match[3] ? match[3].split('.') : []
+  };
+};
+
+const isValidVersion = (version, options) => parseVersion(version, options) !== null;
+
+const comparePrerelease = (a, b) => {
+  // A release has higher precedence than any of its pre-releases
+  if (a.length === 0 || b.length === 0) {
+    if (a.length === b.length) return 0;
+    return a.length === 0 ? 1 : -1;
+  }
+
+  for (let i = 0; i < Math.max(a.length, b.length); i++) {
+    if (a[i] === undefined) return -1;
+    if (b[i] === undefined) return 1;
+
+    const aNumeric = isNumeric(a[i]);
+    const bNumeric = isNumeric(b[i]);
+    let result;
+    if (aNumeric && bNumeric) result = compareNumeric(a[i], b[i]);
+    else if (aNumeric !== bNumeric) result = aNumeric ? -1 : 1; // Numeric identifiers sort first
+    else result = a[i] === b[i] ? 0 : (a[i] > b[i] ? 1 : -1);
+    if (result !== 0) return result;
+  }
+  return 0;
+};
+
+// Returns:
+//  -1 => previousVersion < updatedVersion
+//   0 => equal (build metadata is ignored)
+//   1 => previousVersion > updatedVersion
+// Strings that aren't versions sort below every version and compare as plain strings among themselves.
+const compareVersions = (previousVersion, updatedVersion) => {
+  const prev = parseVersion(previousVersion);
+  const updated = parseVersion(updatedVersion);
+
+  if (!prev || !updated) {
+    if (prev) return 1;
+    if (updated) return -1;
+    const a = String(previousVersion ?? '').trim();
+    const b = String(updatedVersion ?? '').trim();
+    return a === b ? 0 : (a > b ? 1 : -1);
+  }
+
+  for (let i = 0; i < Math.max(prev.release.length, updated.release.length); i++) {
+    const result = compareNumeric(prev.release[i] ?? '0', updated.release[i] ?? '0');
+    if (result !== 0) return result;
+  }
+
+  return comparePrerelease(prev.prerelease, updated.prerelease);
+};
+
+// Sort a list of version strings; order is 'asc' (default) or 'desc'
+const sortVersions = (versions, order = 'asc') => {
+  const direction = order === 'desc' ? -1 : 1;
+  return [...versions].sort((a, b) => direction * compareVersions(a, b));
+};
+
+module.exports = { parseVersion, isValidVersion, compareVersions, sortVersions };
@@ -12,19 +12,25 @@ require('dotenv').config();
 const PORT = process.env.PORT || 8080;
 
 app.use(cors());
-app.use(bodyParser.json());
-app.use(bodyParser.urlencoded({ extended: true }));
+// Keep the raw body so signed device requests can be verified
+const captureRawBody = (req, res, buf) => { req.rawBody = buf; };
+app.use(bodyParser.json({ verify: captureRawBody }));
+app.use(bodyParser.urlencoded({ extended: true, verify: captureRawBody }));
 
 // Routes
 
 app.use('/firmware',FirmwareManagement);
+app.use('/firmware-bundles', require('./Routes/FirmwareBundles'));
 app.use('/devices', require('./Routes/DeviceManagement'));
 app.use('/users', require('./Routes/UserManagement'));
 app.use('/projects', require('./Routes/ProjectManagement'));
 app.use('/recent-activities', require('./Routes/RecentActivities'));
 app.use('/status-management', require('./Routes/StatusManagement'));
 app.use('/ota-updates', require('./Routes/OTAUpdates'));
+app.use('/ota', require('./Routes/OTAManifest'));
+app.use('/rollouts', require('./Routes/RolloutManagement'));
 app.use('/dashboard', require('./Routes/Dashboard'));
+app.use('/events', require('./Routes/Events'));
 
 app.get('/', (req, res) => {  
     res.send('Welcome to the Firmware Management API');
@@ -35,4 +41,15 @@ app.get('/', (req, res) => {
 
 app.listen(PORT,()=>{
     console.log(`Server is running on port ${PORT}`);
+    require('./Services/RolloutService').startScheduler();
+    require('./Services/FirmwareRetentionService').startScheduler();
+    require('./Services/MqttBridge').start();
+    // Only registers missing versions; orphans are removed by scripts/backfill-firmware-versions.js
+    require('./Services/FirmwareCatalogService').backfill({ removeOrphans: false })
+        .then(report => {
+            if (report.registered > 0) {
+                console.log(`Firmware catalog backfill: ${report.registered} registered`);
+            }
+        })
+        .catch(err => console.error('Firmware catalog backfill failed:', err));
 });
\ No newline at end of file
@@ -0,0 +1,18 @@
+#!/bin/sh
+# Creates ./passwd with the backend login (MQTT_USERNAME/MQTT_PASSWORD) on first start, then runs the broker.
+set -e
+
+PASSWD=/mosquitto/config/passwd
+
+if [ ! -f "$PASSWD" ]; then
+  if [ -z "$MQTT_PASSWORD" ]; then
+    echo "Set MQTT_PASSWORD (and MQTT_USERNAME, default ota-backend) in .env to create $PASSWD" >&2
+    exit 1
+  fi
+  mosquitto_passwd -c -b "$PASSWD" "$MQTT_USERNAME" "$MQTT_PASSWORD"
+  chown mosquitto:mosquitto "$PASSWD"
+  chmod 0700 "$PASSWD"
+  echo "Created $PASSWD with the backend login $MQTT_USERNAME"
+fi
+
+exec mosquitto -c /mosquitto/config/mosquitto.conf
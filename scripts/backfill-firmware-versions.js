@@ -0,0 +1,29 @@
+// Registers every stored firmware version in the FirmwareVersion catalog and removes records without an image.
+// Usage: node scripts/backfill-firmware-versions.js [--dry-run]
+const mongoose = require('mongoose');
+const FirmwareCatalogService = require('../Services/FirmwareCatalogService');
+require('dotenv').config();
+
+const dryRun = process.argv.slice(2).includes('--dry-run');
+
+async function backfill() {
+  try {
+    await mongoose.connect(process.env.DB_URL);
+    console.log(`Backfilling firmware version catalog${dryRun ? ' (dry run)' : ''}...`);
+
+    const report = await FirmwareCatalogService.backfill({ dryRun, log: console.log });
+
+    console.log('\n=== Backfill Report ===');
+    console.log('Missing registrations:', report.missing.length);
+    console.log('Registered:', report.registered);
+    console.log('Orphaned records:', report.orphans.length);
+    console.log('Orphans removed:', report.orphansRemoved);
+  } catch (error) {
+    console.error('❌ Backfill failed:', error);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.connection.close();
+  }
+}
+
+backfill();
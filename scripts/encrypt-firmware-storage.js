@@ -0,0 +1,31 @@
+// Encrypts firmware blobs that were stored before FIRMWARE_KEK was configured.
+// Usage: node scripts/encrypt-firmware-storage.js [--dry-run]
+const mongoose = require('mongoose');
+const FirmwareStorage = require('../Services/FirmwareStorage');
+require('dotenv').config();
+
+const dryRun = process.argv.slice(2).includes('--dry-run');
+
+async function encrypt() {
+  try {
+    await mongoose.connect(process.env.DB_URL);
+    console.log(`Encrypting stored firmware blobs${dryRun ? ' (dry run)' : ''}...`);
+
+    const report = await FirmwareStorage.encryptStoredBinaries({ dryRun });
+
+    console.log('\n=== Encryption Report ===');
+    console.log('Candidates:', report.candidates);
+    console.log('Encrypted:', report.encrypted);
+    console.log('Failed:', report.failed.length);
+    report.failed.forEach(failure => console.log(`  ${failure.id}: ${failure.error}`));
+
+    if (report.failed.length > 0) process.exitCode = 1;
+  } catch (error) {
+    console.error('❌ Encryption failed:', error);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.connection.close();
+  }
+}
+
+encrypt();
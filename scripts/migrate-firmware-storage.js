@@ -0,0 +1,34 @@
+// Moves firmware binaries stored inline in firmware-details.fileData into the configured storage backend.
+// Usage: node scripts/migrate-firmware-storage.js [--backend=gridfs|local|s3] [--dry-run]
+const mongoose = require('mongoose');
+const FirmwareStorage = require('../Services/FirmwareStorage');
+require('dotenv').config();
+
+const args = process.argv.slice(2);
+const dryRun = args.includes('--dry-run');
+const backendArg = args.find(arg => arg.startsWith('--backend='));
+const backend = backendArg ? backendArg.split('=')[1] : (process.env.FIRMWARE_STORAGE || 'gridfs');
+
+async function migrate() {
+  try {
+    await mongoose.connect(process.env.DB_URL);
+    console.log(`Migrating embedded firmware binaries to '${backend}'${dryRun ? ' (dry run)' : ''}...`);
+
+    const report = await FirmwareStorage.migrateEmbeddedBinaries({ backend, dryRun });
+
+    console.log('\n=== Migration Report ===');
+    console.log('Candidates:', report.candidates);
+    console.log('Migrated:', report.migrated);
+    console.log('Failed:', report.failed.length);
+    report.failed.forEach(failure => console.log(`  ${failure.id}: ${failure.error}`));
+
+    if (report.failed.length > 0) process.exitCode = 1;
+  } catch (error) {
+    console.error('❌ Migration failed:', error);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.connection.close();
+  }
+}
+
+migrate();
@@ -0,0 +1,102 @@
+// Starts an in-process MQTT broker for local development and testing of the device bridge.
+// The backend logs in with MQTT_USERNAME/MQTT_PASSWORD and may use every device topic. Devices log in
+// with their deviceId as username and "<keyId>:<secret>" from their credential as password (the same
+// logins as mosquitto/), and may only publish to their own ota/report, ota/checkin and ota/progress
+// topics and subscribe to their own ota/cmd topic.
+// Listens on 127.0.0.1 unless MQTT_BROKER_HOST is set.
+// Usage: node scripts/mqtt-broker.js [port]   (then run the server with MQTT_URL=mqtt://localhost:<port>)
+const crypto = require('crypto');
+const net = require('net');
+const mongoose = require('mongoose');
+const { createBroker } = require('aedes');
+const DeviceCredentialService = require('../Services/DeviceCredentialService');
+require('dotenv').config();
+
+const port = parseInt(process.argv[2] || process.env.MQTT_BROKER_PORT || '1883', 10);
+const host = process.env.MQTT_BROKER_HOST || '127.0.0.1';
+const prefix = process.env.MQTT_TOPIC_PREFIX || 'devices';
+const backendUsername = process.env.MQTT_USERNAME;
+const backendPassword = process.env.MQTT_PASSWORD;
+
+const sameSecret = (a, b) => {
+  const hash = (value) => crypto.createHash('sha256').update(String(value)).digest();
+  return crypto.timingSafeEqual(hash(a), hash(b));
+};
+
+const refuse = (message) => {
+  const error = new Error(message);
+  error.returnCode = 4; // Bad user name or password
+  return error;
+};
+
+// Topics a device may use, from its authenticated deviceId
+const devicePublishTopics = (deviceId) => ['report', 'checkin', 'progress'].map(kind => `${prefix}/${deviceId}/ota/${kind}`);
+const deviceCommandTopic = (deviceId) => `${prefix}/${deviceId}/ota/cmd`;
+
+async function authenticate(client, username, password) {
+  const secret = password ? password.toString() : '';
+  if (!username) throw refuse('Credentials required');
+
+  if (username === backendUsername) {
+    if (!sameSecret(secret, backendPassword)) throw refuse('Invalid credentials');
+    client.isBackend = true;
+    return;
+  }
+
+  const { device, error } = await DeviceCredentialService.verifySecret(secret);
+  if (error) throw refuse(error);
+  if (device.deviceId !== username) throw refuse('Credentials do not belong to this device');
+  client.deviceId = device.deviceId;
+}
+
+async function startBroker() {
+  if (!backendUsername || !backendPassword) {
+    console.error('Set MQTT_USERNAME and MQTT_PASSWORD: the backend logs in with them');
+    process.exitCode = 1;
+    return;
+  }
+  // Device credentials are looked up in the database
+  await mongoose.connect(process.env.DB_URL);
+
+  const broker = createBroker({
+    authenticate: (client, username, password, callback) => {
+      authenticate(client, username, password)
+        .then(() => callback(null, true))
+        .catch(error => callback(error.returnCode ? error : refuse(error.message), false));
+    },
+    // A refused publish disconnects the client: MQTT 3.1.1 has no negative PUBACK
+    authorizePublish: (client, packet, callback) => {
+      if (client && !client.isBackend && !devicePublishTopics(client.deviceId).includes(packet.topic)) {
+        return callback(new Error(`Not allowed to publish to ${packet.topic}`));
+      }
+      if (packet.topic.startsWith('$SYS/')) {
+        return callback(new Error('$SYS/ topic is reserved'));
+      }
+      callback(null);
+    },
+    authorizeSubscribe: (client, subscription, callback) => {
+      // A null subscription is refused in the SUBACK without dropping the connection
+      if (!client.isBackend && subscription.topic !== deviceCommandTopic(client.deviceId)) {
+        return callback(null, null);
+      }
+      callback(null, subscription);
+    }
+  });
+  const server = net.createServer(broker.handle);
+
+  broker.on('publish', (packet, client) => {
+    if (client) console.log(`${client.id} → ${packet.topic}: ${packet.payload.toString()}`);
+  });
+
+  server.listen(port, host, () => console.log(`MQTT broker listening on ${host}:${port}`));
+
+  process.on('SIGINT', () => {
+    server.close();
+    broker.close(() => mongoose.connection.close().then(() => process.exit(0)));
+  });
+}
+
+startBroker().catch(error => {
+  console.error('❌ MQTT broker failed to start:', error);
+  process.exitCode = 1;
+});
@@ -0,0 +1,66 @@
+// Recomputes DashboardStats by replaying stored OTA reports through the report classification.
+// Prints the differences only; pass --apply to write the rebuilt stats.
+// Usage: node scripts/rebuild-dashboard-stats.js --from YYYY-MM-DD --to YYYY-MM-DD [--device ID | --project ID] [--apply]
+const mongoose = require('mongoose');
+const DashboardReplayService = require('../Services/DashboardReplayService');
+require('dotenv').config();
+
+const args = process.argv.slice(2);
+const dryRun = !args.includes('--apply');
+const option = (name) => {
+  const index = args.indexOf(`--${name}`);
+  return index !== -1 ? args[index + 1] : undefined;
+};
+
+// YYYY-MM-DD as a local date; new Date('YYYY-MM-DD') would be UTC midnight and shift the day west of UTC
+const parseLocalDate = (value) => {
+  const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(value || '');
+  if (!match) return new Date(NaN);
+  const date = new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3]));
+  // Reject dates like 2026-02-31 that roll over into the next month
+  return date.getDate() === Number(match[3]) ? date : new Date(NaN);
+};
+
+async function rebuild() {
+  const from = parseLocalDate(option('from'));
+  const to = parseLocalDate(option('to'));
+  if (isNaN(from.getTime()) || isNaN(to.getTime()) || from > to) {
+    console.error('Usage: node scripts/rebuild-dashboard-stats.js --from YYYY-MM-DD --to YYYY-MM-DD [--device ID | --project ID] [--apply]');
+    process.exitCode = 1;
+    return;
+  }
+
+  try {
+    await mongoose.connect(process.env.DB_URL);
+    console.log(`Rebuilding dashboard stats${dryRun ? ' (dry run)' : ''}...`);
+
+    const report = await DashboardReplayService.rebuild({
+      deviceId: option('device'),
+      projectId: option('project'),
+      start: new Date(from.getFullYear(), from.getMonth(), from.getDate(), 0, 0, 0, 0),
+      end: new Date(to.getFullYear(), to.getMonth(), to.getDate(), 23, 59, 59, 999),
+      dryRun,
+      log: console.log
+    });
+
+    console.log('\n=== Rebuild Report ===');
+    console.log('Devices:', report.devices);
+    console.log('Reports replayed:', report.reportsReplayed);
+    console.log('Days created:', report.summary.created);
+    console.log('Days updated:', report.summary.updated);
+    console.log('Days removed:', report.summary.removed);
+    console.log('Days unchanged:', report.summary.unchanged);
+    console.log('Conflicts:', report.summary.conflicts);
+
+    if (dryRun) console.log('\nDry run: nothing was written. Re-run with --apply to write the rebuilt stats.');
+
+    if (report.summary.conflicts > 0) process.exitCode = 1;
+  } catch (error) {
+    console.error('❌ Rebuild failed:', error);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.connection.close();
+  }
+}
+
+rebuild();
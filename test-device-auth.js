@@ -0,0 +1,198 @@
+const express = require('express');
+const DeviceCredential = require('./Models/DeviceCredentialModel');
+const DeviceNonce = require('./Models/DeviceNonceModel');
+const DeviceCredentialService = require('./Services/DeviceCredentialService');
+const OtaReportService = require('./Services/OtaReportService');
+const { authenticateDevice } = require('./Middleware/deviceAuth');
+
+let failures = 0;
+const check = (passed, description, detail) => {
+  if (!passed) failures++;
+  console.log(`${passed ? '✅' : '❌'} ${description}`);
+  if (!passed && detail) console.log(`   ${detail}`);
+};
+
+const describe = (value) => JSON.stringify(value);
+
+// The credential and nonce collections are replaced with in-memory stand-ins, so the checks run without MongoDB
+const SECRET = 'device-secret';
+const credentials = [
+  { _id: 'c1', deviceId: 'ESP-1', keyId: 'dk_1', status: 'active', ...DeviceCredentialService.sealSecret(SECRET) },
+  { _id: 'c2', deviceId: 'ESP-2', keyId: 'dk_2', status: 'revoked', ...DeviceCredentialService.sealSecret(SECRET) }
+];
+const usedNonces = new Set();
+
+DeviceCredential.findOne = (query) => {
+  const credential = credentials.find(entry => entry.keyId === query.keyId && entry.status === 'active') || null;
+  return { select: async () => credential, then: (resolve, reject) => Promise.resolve(credential).then(resolve, reject) };
+};
+DeviceCredential.updateOne = async () => ({});
+DeviceNonce.create = async ({ keyId, nonce }) => {
+  if (usedNonces.has(`${keyId}:${nonce}`)) {
+    const error = new Error('duplicate key');
+    error.code = 11000;
+    throw error;
+  }
+  usedNonces.add(`${keyId}:${nonce}`);
+};
+
+const now = () => Math.floor(Date.now() / 1000);
+let nonceCounter = 0;
+const nextNonce = () => `nonce-${Date.now()}-${++nonceCounter}`;
+
+// A signed request as a device sends it; overrides change what is sent after signing
+const signed = (overrides = {}, { secret = SECRET, timestamp = now() } = {}) => {
+  const request = { keyId: 'dk_1', method: 'POST', url: '/ota-updates/report', timestamp: String(timestamp), nonce: nextNonce(), body: Buffer.from('{"a":1}') };
+  request.signature = DeviceCredentialService.sign(secret, request);
+  return { ...request, ...overrides };
+};
+
+// Test function for HMAC signatures
+async function testSignatures() {
+  console.log('\n=== Testing Signatures ===');
+
+  let result = await DeviceCredentialService.verifySignature(signed());
+  check(result.device && result.device.deviceId === 'ESP-1' && result.device.method === 'hmac',
+    'Valid signature authenticates the device', `Got: ${describe(result)}`);
+
+  const request = signed();
+  result = await DeviceCredentialService.verifySignature({ ...request, signature: request.signature.toUpperCase() });
+  check(Boolean(result.device), 'Upper-case hex signatures are accepted', `Got: ${describe(result)}`);
+
+  result = await DeviceCredentialService.verifySignature(signed({}, { secret: 'wrong-secret' }));
+  check(result.error === 'Invalid request signature', 'Signature with the wrong secret is rejected', `Got: ${describe(result)}`);
+
+  result = await DeviceCredentialService.verifySignature(signed({ body: Buffer.from('{"a":2}') }));
+  check(result.error === 'Invalid request signature', 'Tampered body is rejected', `Got: ${describe(result)}`);
+
+  result = await DeviceCredentialService.verifySignature(signed({ url: '/ota-updates/report?deviceId=ESP-2' }));
+  check(result.error === 'Invalid request signature', 'Tampered URL is rejected', `Got: ${describe(result)}`);
+
+  result = await DeviceCredentialService.verifySignature(signed({ keyId: 'dk_2' }));
+  check(result.error === 'Unknown or revoked device credential', 'Revoked credential is rejected', `Got: ${describe(result)}`);
+
+  result = await DeviceCredentialService.verifySignature(signed({ signature: undefined }));
+  check(Boolean(result.error) && !result.device, 'Missing signature is rejected', `Got: ${describe(result)}`);
+}
+
+// Test function for nonce replay protection
+async function testNonces() {
+  console.log('\n=== Testing Nonces ===');
+
+  const request = signed();
+  let result = await DeviceCredentialService.verifySignature(request);
+  check(Boolean(result.device), 'First use of a nonce is accepted', `Got: ${describe(result)}`);
+
+  result = await DeviceCredentialService.verifySignature(request);
+  check(result.error === 'Nonce has already been used', 'Replayed request is rejected', `Got: ${describe(result)}`);
+
+  const shortNonce = { keyId: 'dk_1', method: 'POST', url: '/x', timestamp: String(now()), nonce: 'short', body: Buffer.alloc(0) };
+  shortNonce.signature = DeviceCredentialService.sign(SECRET, shortNonce);
+  result = await DeviceCredentialService.verifySignature(shortNonce);
+  check(result.error === 'Nonce must be 8 to 128 characters', 'Short nonce is rejected', `Got: ${describe(result)}`);
+
+  const before = usedNonces.size;
+  await DeviceCredentialService.verifySignature(signed({}, { secret: 'wrong-secret' }));
+  check(usedNonces.size === before, 'Requests with a bad signature do not consume a nonce');
+}
+
+// Test function for the timestamp window (DEVICE_AUTH_MAX_SKEW_SECONDS, 300 by default)
+async function testTimestampSkew() {
+  console.log('\n=== Testing Timestamp Skew ===');
+
+  let result = await DeviceCredentialService.verifySignature(signed({}, { timestamp: now() - 240 }));
+  check(Boolean(result.device), 'Timestamp within the window is accepted', `Got: ${describe(result)}`);
+
+  result = await DeviceCredentialService.verifySignature(signed({}, { timestamp: now() - 360 }));
+  check(result.error === 'Request timestamp is outside the allowed window', 'Old timestamp is rejected', `Got: ${describe(result)}`);
+
+  result = await DeviceCredentialService.verifySignature(signed({}, { timestamp: now() + 360 }));
+  check(result.error === 'Request timestamp is outside the allowed window', 'Future timestamp is rejected', `Got: ${describe(result)}`);
+
+  result = await DeviceCredentialService.verifySignature(signed({ timestamp: 'yesterday' }));
+  check(result.error === 'Request timestamp is outside the allowed window', 'Non-numeric timestamp is rejected', `Got: ${describe(result)}`);
+}
+
+// Test function for reports sent with another device's credentials
+async function testReportDeviceMismatch() {
+  console.log('\n=== Testing Report Device Mismatch ===');
+
+  const result = await OtaReportService.processReport({
+    pic_id: 'PIC-1',
+    deviceId: 'ESP-2',
+    status: '200',
+    previousVersion: '1.0.0',
+    updatedVersion: '1.1.0',
+    reprogramming: false
+  }, { device: { deviceId: 'ESP-1' } });
+  check(result.statusCode === 403, 'OTA report for another device is rejected', `Got: ${describe(result)}`);
+
+  // POST /firmware/report over HTTP, signed like a device would
+  const app = express();
+  app.use(express.json({ verify: (req, res, buf) => { req.rawBody = buf; } }));
+  app.use('/firmware', require('./Routes/FirmwareManagement'));
+  const server = app.listen(0);
+  const { port } = server.address();
+
+  const sendReport = (esp_id, { signedFor = 'dk_1' } = {}) => {
+    const body = Buffer.from(JSON.stringify({
+      pic_id: 'PIC-1',
+      esp_id,
+      status: 'success',
+      previous_firmware_version: '1.0.0',
+      updated_firmware_version: '1.1.0'
+    }));
+    const request = { method: 'POST', url: '/firmware/report', timestamp: String(now()), nonce: nextNonce(), body };
+    return fetch(`http://127.0.0.1:${port}/firmware/report`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'X-Device-Key-Id': signedFor,
+        'X-Device-Timestamp': request.timestamp,
+        'X-Device-Nonce': request.nonce,
+        'X-Device-Signature': DeviceCredentialService.sign(SECRET, request)
+      },
+      body
+    });
+  };
+
+  try {
+    let response = await sendReport('ESP-2');
+    check(response.status === 403, 'Firmware report for another device is rejected', `Got ${response.status}`);
+
+    response = await sendReport('ESP-1');
+    check(response.status === 200, 'Firmware report for the authenticated device is accepted', `Got ${response.status}`);
+
+    response = await sendReport('ESP-1', { signedFor: 'dk_2' });
+    check(response.status === 401, 'Firmware report with a revoked credential is rejected', `Got ${response.status}`);
+  } finally {
+    server.close();
+  }
+}
+
+// Test function for the middleware without credentials
+async function testMissingCredentials() {
+  console.log('\n=== Testing Missing Credentials ===');
+
+  let statusCode = null;
+  let nextCalled = false;
+  const req = { get: () => undefined, headers: {}, socket: {} };
+  const res = { status: (code) => { statusCode = code; return res; }, json: () => res };
+  await authenticateDevice(req, res, () => { nextCalled = true; });
+  check(DeviceCredentialService.AUTH_REQUIRED ? statusCode === 401 && !nextCalled : nextCalled,
+    `Request without credentials is ${DeviceCredentialService.AUTH_REQUIRED ? 'rejected' : 'let through (DEVICE_AUTH_REQUIRED=false)'}`,
+    `Got status ${statusCode}, next called: ${nextCalled}`);
+}
+
+async function main() {
+  await testSignatures();
+  await testNonces();
+  await testTimestampSkew();
+  await testReportDeviceMismatch();
+  await testMissingCredentials();
+
+  console.log(`\n${failures === 0 ? '✅ All device authentication checks passed' : `❌ ${failures} device authentication check(s) failed`}`);
+  process.exitCode = failures === 0 ? 0 : 1;
+}
+
+main();
@@ -0,0 +1,150 @@
+const { Readable, Writable } = require('stream');
+const FirmwareDelivery = require('./Services/FirmwareDelivery');
+
+let failures = 0;
+const check = (passed, description, detail) => {
+  if (!passed) failures++;
+  console.log(`${passed ? '✅' : '❌'} ${description}`);
+  if (!passed && detail) console.log(`   ${detail}`);
+};
+
+const describe = (value) => JSON.stringify(value);
+
+const IMAGE = Buffer.from('0123456789abcdefghij'); // 20 bytes
+const ETAG = '"sha256-abc"';
+const LAST_MODIFIED = new Date('2026-01-01T10:00:00Z');
+
+// Minimal stand-in for an Express response: records status and headers, collects the body
+class FakeResponse extends Writable {
+  constructor() {
+    super();
+    this.statusCode = 200;
+    this.headers = {};
+    this.chunks = [];
+  }
+
+  set(name, value) {
+    this.headers[name.toLowerCase()] = value;
+    return this;
+  }
+
+  status(code) {
+    this.statusCode = code;
+    return this;
+  }
+
+  _write(chunk, encoding, callback) {
+    this.chunks.push(chunk);
+    callback();
+  }
+
+  get body() {
+    return Buffer.concat(this.chunks).toString();
+  }
+}
+
+// Serve IMAGE for the given request headers
+const serve = async (headers = {}, method = 'GET') => {
+  const res = new FakeResponse();
+  await FirmwareDelivery.send({ method, headers }, res, {
+    size: IMAGE.length,
+    etag: ETAG,
+    lastModified: LAST_MODIFIED,
+    openStream: async ({ start = 0, end = IMAGE.length - 1 }) => Readable.from([IMAGE.subarray(start, end + 1)])
+  });
+  return res;
+};
+
+// Test function for Range header parsing
+function testParseRange() {
+  console.log('\n=== Testing Range Parsing ===');
+
+  const cases = [
+    { description: 'No header serves the whole file', header: undefined, expected: null },
+    { description: 'Closed range', header: 'bytes=0-4', expected: { start: 0, end: 4 } },
+    { description: 'Open-ended range runs to the end', header: 'bytes=15-', expected: { start: 15, end: 19 } },
+    { description: 'End past the file is clamped', header: 'bytes=10-99', expected: { start: 10, end: 19 } },
+    { description: 'Suffix range returns the last N bytes', header: 'bytes=-5', expected: { start: 15, end: 19 } },
+    { description: 'Suffix longer than the file returns the whole file', header: 'bytes=-50', expected: { start: 0, end: 19 } },
+    { description: 'Zero-length suffix is unsatisfiable', header: 'bytes=-0', expected: { unsatisfiable: true } },
+    { description: 'Start past the end is unsatisfiable', header: 'bytes=20-', expected: { unsatisfiable: true } },
+    { description: 'Start after end is unsatisfiable', header: 'bytes=8-4', expected: { unsatisfiable: true } },
+    { description: 'Multiple ranges are ignored', header: 'bytes=0-4,10-14', expected: null },
+    { description: 'Other units are ignored', header: 'items=0-4', expected: null },
+    { description: 'Empty range is ignored', header: 'bytes=-', expected: null }
+  ];
+
+  cases.forEach(({ description, header, expected }) => {
+    const result = FirmwareDelivery.parseRange(header, IMAGE.length);
+    check(describe(result) === describe(expected), description, `Expected ${describe(expected)}, got ${describe(result)}`);
+  });
+}
+
+// Test function for If-Range validation
+function testIfRange() {
+  console.log('\n=== Testing If-Range ===');
+
+  check(FirmwareDelivery.ifRangeSatisfied(undefined, ETAG, LAST_MODIFIED), 'No If-Range honours the range');
+  check(FirmwareDelivery.ifRangeSatisfied(ETAG, ETAG, LAST_MODIFIED), 'Matching strong ETag honours the range');
+  check(!FirmwareDelivery.ifRangeSatisfied('"sha256-old"', ETAG, LAST_MODIFIED), 'Mismatched ETag ignores the range');
+  check(!FirmwareDelivery.ifRangeSatisfied(`W/${ETAG}`, ETAG, LAST_MODIFIED), 'Weak ETag ignores the range');
+  check(FirmwareDelivery.ifRangeSatisfied(LAST_MODIFIED.toUTCString(), ETAG, LAST_MODIFIED), 'Matching Last-Modified honours the range');
+  check(!FirmwareDelivery.ifRangeSatisfied('Wed, 31 Dec 2025 10:00:00 GMT', ETAG, LAST_MODIFIED), 'Older date ignores the range');
+  check(!FirmwareDelivery.ifRangeSatisfied('not a date', ETAG, LAST_MODIFIED), 'Invalid date ignores the range');
+}
+
+// Test function for the responses sent
+async function testSend() {
+  console.log('\n=== Testing Responses ===');
+
+  let res = await serve();
+  check(res.statusCode === 200 && res.body === IMAGE.toString() && res.headers['content-length'] === '20',
+    'Plain request gets the whole file', `Got ${res.statusCode} ${describe(res.headers)}`);
+
+  res = await serve({ range: 'bytes=-5' });
+  check(res.statusCode === 206 && res.body === 'fghij' && res.headers['content-range'] === 'bytes 15-19/20',
+    'Suffix range gets 206 with the last bytes', `Got ${res.statusCode} ${describe(res.headers)} "${res.body}"`);
+
+  res = await serve({ range: 'bytes=25-30' });
+  check(res.statusCode === 416 && res.headers['content-range'] === 'bytes */20' && res.body === '',
+    'Unsatisfiable range gets 416 with the size', `Got ${res.statusCode} ${describe(res.headers)}`);
+
+  res = await serve({ range: 'bytes=0-4,10-14' });
+  check(res.statusCode === 200 && res.body === IMAGE.toString() && !res.headers['content-range'],
+    'Multiple ranges get the whole file', `Got ${res.statusCode} ${describe(res.headers)}`);
+
+  res = await serve({ range: 'bytes=0-4', 'if-range': '"sha256-old"' });
+  check(res.statusCode === 200 && res.body === IMAGE.toString(),
+    'If-Range mismatch gets the whole file', `Got ${res.statusCode} "${res.body}"`);
+
+  res = await serve({ range: 'bytes=0-4', 'if-range': ETAG });
+  check(res.statusCode === 206 && res.body === '01234',
+    'If-Range match gets the range', `Got ${res.statusCode} "${res.body}"`);
+
+  res = await serve({ 'if-none-match': ETAG });
+  check(res.statusCode === 304 && res.body === '', 'If-None-Match with the current ETag gets 304', `Got ${res.statusCode}`);
+
+  res = await serve({ 'if-none-match': `"other", W/${ETAG}` });
+  check(res.statusCode === 304, 'If-None-Match uses weak comparison across a list', `Got ${res.statusCode}`);
+
+  res = await serve({ 'if-none-match': '*' });
+  check(res.statusCode === 304, 'If-None-Match: * gets 304', `Got ${res.statusCode}`);
+
+  res = await serve({ 'if-none-match': '"other"' });
+  check(res.statusCode === 200 && res.body === IMAGE.toString(), 'If-None-Match mismatch gets the file', `Got ${res.statusCode}`);
+
+  res = await serve({ range: 'bytes=0-4' }, 'HEAD');
+  check(res.statusCode === 206 && res.body === '' && res.headers['content-length'] === '5',
+    'HEAD gets headers without a body', `Got ${res.statusCode} ${describe(res.headers)}`);
+}
+
+async function main() {
+  testParseRange();
+  testIfRange();
+  await testSend();
+
+  console.log(`\n${failures === 0 ? '✅ All firmware delivery checks passed' : `❌ ${failures} firmware delivery check(s) failed`}`);
+  process.exitCode = failures === 0 ? 0 : 1;
+}
+
+main();
@@ -0,0 +1,140 @@
+const OtaReportService = require('./Services/OtaReportService');
+
+let failures = 0;
+const check = (passed, description, detail) => {
+  if (!passed) failures++;
+  console.log(`${passed ? '✅' : '❌'} ${description}`);
+  if (!passed && detail) console.log(`   ${detail}`);
+};
+
+const describe = (value) => JSON.stringify(value);
+
+const record = (overrides = {}) => ({
+  picID: 'PIC-1',
+  deviceId: 'ESP-1',
+  status: '200',
+  previousVersion: '1.0.0',
+  updatedVersion: '1.1.0',
+  timestamp: new Date('2026-01-01T10:00:00Z'),
+  ...overrides
+});
+
+// Test function for report classification
+function testClassify() {
+  console.log('\n=== Testing Classification ===');
+
+  const cases = [
+    {
+      description: 'Successful reprogramming counts as other',
+      input: { baseBadge: 'success', reprogramming: true, previousVersion: '1.0.0', updatedVersion: '1.0.0' },
+      expected: { badge: 'other', bucket: 'other', reason: 'reprogramming-success' }
+    },
+    {
+      description: 'Successful reprogramming to a newer version still counts as other',
+      input: { baseBadge: 'success', reprogramming: true, previousVersion: '1.0.0', updatedVersion: '2.0.0' },
+      expected: { badge: 'other', bucket: 'other', reason: 'reprogramming-success' }
+    },
+    {
+      description: 'Failed reprogramming is not counted',
+      input: { baseBadge: 'failure', reprogramming: true, previousVersion: '1.0.0', updatedVersion: '2.0.0' },
+      expected: { badge: 'failure', bucket: null, reason: 'not-counted' }
+    },
+    {
+      description: 'Already on the target version counts as other',
+      input: { baseBadge: 'other', reprogramming: false, previousVersion: '1.2.0', updatedVersion: '1.2.0' },
+      expected: { badge: 'other', bucket: 'other', reason: 'already-updated' }
+    },
+    {
+      description: 'Same version with a success status is not counted',
+      input: { baseBadge: 'success', reprogramming: false, previousVersion: '1.2.0', updatedVersion: '1.2.0' },
+      expected: { badge: 'success', bucket: null, reason: 'not-counted' }
+    },
+    {
+      description: 'Successful upgrade counts as success',
+      input: { baseBadge: 'success', reprogramming: false, previousVersion: '1.9', updatedVersion: '1.10' },
+      expected: { badge: 'success', bucket: 'success', reason: 'upgrade' }
+    },
+    {
+      description: 'Failed upgrade counts as failure',
+      input: { baseBadge: 'failure', reprogramming: false, previousVersion: '1.0.0', updatedVersion: '1.1.0' },
+      expected: { badge: 'failure', bucket: 'failure', reason: 'upgrade' }
+    },
+    {
+      description: 'Upgrade with an other status counts as other',
+      input: { baseBadge: 'other', reprogramming: false, previousVersion: '1.0.0', updatedVersion: '1.1.0' },
+      expected: { badge: 'other', bucket: 'other', reason: 'upgrade' }
+    },
+    {
+      description: 'Downgrade is not counted',
+      input: { baseBadge: 'success', reprogramming: false, previousVersion: '2.0.0', updatedVersion: '1.0.0' },
+      expected: { badge: 'success', bucket: null, reason: 'not-counted' }
+    },
+    {
+      description: 'Missing status badge defaults to other',
+      input: { baseBadge: undefined, reprogramming: false, previousVersion: '2.0.0', updatedVersion: '1.0.0' },
+      expected: { badge: 'other', bucket: null, reason: 'not-counted' }
+    }
+  ];
+
+  cases.forEach(({ description, input, expected }) => {
+    const result = OtaReportService.classify(input);
+    check(describe(result) === describe(expected), description, `Got: ${describe(result)}`);
+  });
+}
+
+// Test function for applying classified reports to a day's records
+function testApplyToDashboard() {
+  console.log('\n=== Testing Dashboard Updates ===');
+
+  const success = { badge: 'success', bucket: 'success', reason: 'upgrade' };
+  const failure = { badge: 'failure', bucket: 'failure', reason: 'upgrade' };
+  const other = { badge: 'other', bucket: 'other', reason: 'already-updated' };
+  const notCounted = { badge: 'success', bucket: null, reason: 'not-counted' };
+
+  let result = OtaReportService.applyToDashboard(undefined, success, record());
+  check(result.changed && result.records.success.length === 1 && result.records.success[0].recovered === true,
+    'Success on an empty day adds a recovered success record', `Got: ${describe(result)}`);
+  check(Array.isArray(result.records.failure) && Array.isArray(result.records.other),
+    'Missing buckets are created');
+
+  result = OtaReportService.applyToDashboard({ success: [], failure: [], other: [] }, failure, record());
+  check(result.changed && result.records.failure.length === 1 && result.records.failure[0].recovered === false,
+    'First failure adds an unrecovered failure record', `Got: ${describe(result)}`);
+
+  const failed = result.records;
+  result = OtaReportService.applyToDashboard(failed, failure, record());
+  check(!result.changed && result.records.failure.length === 1,
+    'Repeated failure for the same PIC is counted once', `Got: ${describe(result)}`);
+
+  result = OtaReportService.applyToDashboard(failed, failure, record({ picID: 'PIC-2' }));
+  check(result.changed && result.records.failure.length === 2,
+    'Failure for another PIC is counted', `Got: ${describe(result)}`);
+
+  result = OtaReportService.applyToDashboard(failed, success, record());
+  check(result.changed && result.recoveredFailure && result.records.failure[0].recovered === true && result.records.success.length === 1,
+    'Success recovers the PIC\'s open failure', `Got: ${describe(result)}`);
+  check(failed.failure[0].recovered === false, 'Input records are not mutated');
+
+  const recovered = result.records;
+  result = OtaReportService.applyToDashboard(recovered, failure, record());
+  check(result.changed && result.records.failure.length === 2,
+    'Failure after a recovery is counted again', `Got: ${describe(result)}`);
+
+  result = OtaReportService.applyToDashboard(failed, success, record({ deviceId: 'ESP-2' }));
+  check(!result.recoveredFailure && result.records.failure[0].recovered === false,
+    'Success on another device leaves the failure open', `Got: ${describe(result)}`);
+
+  result = OtaReportService.applyToDashboard(failed, other, record());
+  check(result.changed && result.records.other.length === 1 && result.records.other[0].recovered === true,
+    'Other adds a recovered other record', `Got: ${describe(result)}`);
+
+  result = OtaReportService.applyToDashboard(failed, notCounted, record());
+  check(!result.changed && result.records.success.length === 0 && result.records.failure.length === 1,
+    'Uncounted reports leave the records unchanged', `Got: ${describe(result)}`);
+}
+
+testClassify();
+testApplyToDashboard();
+
+console.log(`\n${failures === 0 ? '✅ All OTA report checks passed' : `❌ ${failures} OTA report check(s) failed`}`);
+process.exitCode = failures === 0 ? 0 : 1;
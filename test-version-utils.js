@@ -0,0 +1,83 @@
+const { parseVersion, isValidVersion, compareVersions, sortVersions } = require('./Services/VersionUtils');
+
+let failures = 0;
+const check = (passed, description, detail) => {
+  if (!passed) failures++;
+  console.log(`${passed ? '✅' : '❌'} ${description}`);
+  if (!passed && detail) console.log(`   ${detail}`);
+};
+
+// Test function for SemVer 2.0 precedence
+function testPrecedence() {
+  console.log('\n=== Testing SemVer Precedence ===');
+
+  // Example chain from semver.org, item 11, lowest first
+  const chain = [
+    '1.0.0-alpha',
+    '1.0.0-alpha.1',
+    '1.0.0-alpha.beta',
+    '1.0.0-beta',
+    '1.0.0-beta.2',
+    '1.0.0-beta.11',
+    '1.0.0-rc.1',
+    '1.0.0',
+    '2.0.0',
+    '2.1.0',
+    '2.1.1'
+  ];
+
+  for (let i = 0; i < chain.length - 1; i++) {
+    const result = compareVersions(chain[i], chain[i + 1]);
+    check(result === -1, `${chain[i]} < ${chain[i + 1]}`, `compareVersions returned ${result}`);
+    check(compareVersions(chain[i + 1], chain[i]) === 1, `${chain[i + 1]} > ${chain[i]}`);
+  }
+
+  check(compareVersions('1.2.0-rc1', '1.2.0') === -1, '1.2.0-rc1 is a pre-release of 1.2.0');
+  check(compareVersions('1.0.0+build.1', '1.0.0+build.2') === 0, 'Build metadata is ignored');
+  check(compareVersions('1.10.0', '1.9.0') === 1, '1.10.0 > 1.9.0 (numeric, not lexicographic)');
+  check(compareVersions('99999999999999999999.0.0', '99999999999999999998.0.0') === 1, 'Parts beyond Number precision compare exactly');
+}
+
+// Test function for legacy version strings
+function testLenientMode() {
+  console.log('\n=== Testing Lenient Mode ===');
+
+  check(compareVersions('1.9', '1.10') === -1, 'Legacy 1.9 < 1.10');
+  check(compareVersions('15.8', '15.8.0') === 0, 'Missing parts count as 0');
+  check(compareVersions('v2.0', '2.0.0') === 0, 'Leading v is ignored');
+  check(compareVersions('1.2.3.4', '1.2.3') === 1, 'Four-part versions compare element-wise');
+  check(compareVersions('01.2', '1.2') === 0, 'Leading zeros are tolerated');
+  check(compareVersions('garbage', '0.0.1') === -1, 'Non-versions sort below every version');
+
+  check(isValidVersion('15.8'), 'Lenient mode accepts x.y');
+  check(!isValidVersion('15.8', { strict: true }), 'Strict mode rejects x.y');
+  check(isValidVersion('1.2.0-rc.1+sha.5114f85', { strict: true }), 'Strict mode accepts pre-release and build metadata');
+  check(!isValidVersion('1.02.0', { strict: true }), 'Strict mode rejects leading zeros');
+  check(!isValidVersion('1.2.0-', { strict: true }), 'Strict mode rejects an empty pre-release');
+  check(!isValidVersion('latest'), 'Lenient mode rejects non-versions');
+
+  const parsed = parseVersion('1.2.0-rc.1+exp.sha');
+  check(
+    parsed && parsed.prerelease.join('.') === 'rc.1' && parsed.build.join('.') === 'exp.sha',
+    'parseVersion splits pre-release and build metadata'
+  );
+}
+
+// Test function for version listings
+function testSorting() {
+  console.log('\n=== Testing Version Sorting ===');
+
+  const sorted = sortVersions(['1.10', '1.9', '1.2.0-rc1', '1.2.0', '2.0.0-beta']);
+  const expected = ['1.2.0-rc1', '1.2.0', '1.9', '1.10', '2.0.0-beta'];
+  check(sorted.join(',') === expected.join(','), 'Ascending sort', `Got: ${sorted.join(', ')}`);
+
+  const descending = sortVersions(['1.9', '1.10', '1.2'], 'desc');
+  check(descending.join(',') === '1.10,1.9,1.2', 'Descending sort', `Got: ${descending.join(', ')}`);
+}
+
+testPrecedence();
+testLenientMode();
+testSorting();
+
+console.log(`\n${failures === 0 ? '✅ All version checks passed' : `❌ ${failures} version check(s) failed`}`);
+process.exitCode = failures === 0 ? 0 : 1;